@@ -2,8 +2,19 @@
 // cli.js
 // Command-line interface for ARONIA (Bare-compatible)
 
-import crypto from 'hypercore-crypto';
-import { AroniaNode } from './src/index.js';
+import process from 'bare-process';
+import fs from 'bare-fs';
+import os from 'bare-os';
+import path from 'bare-path';
+import {
+  AroniaNode,
+  ControlServer,
+  MetricsServer,
+  callControl,
+  openKeystore,
+  loadKeyPair,
+  saveKeyPair,
+} from './src/index.js';
 
 const args = process.argv.slice(2);
 const command = args[0];
@@ -17,16 +28,64 @@ Usage:
 
 Commands:
   start                    Start an ARONIA node
-  identity                 Show your public key
+                           (--topic <name>, --storage <path> for trust state,
+                           --outbox <path> to queue for offline peers,
+                           --subscribe <pattern> to print matching publishes,
+                           --relay to forward messages for other peers,
+                           --metrics-port <port> to serve Prometheus metrics,
+                           --rate-limit to throttle, suspend and ban flooding peers,
+                           --trace <path> to append RPC spans as JSON lines)
+  identity                 Show your public key (creates it on first use)
+  identity export <file>   Write an encrypted copy of your identity
+  identity import <file>   Replace your identity with an exported one
   send <pubkey> <message>  Send a message to a peer
+                           (--reliable to wait for an acknowledgement,
+                           --relay to route through other peers)
+  publish <topic> <data>   Publish to peers subscribed to a matching topic
+  outbox [pubkey]          List queued messages (--purge to drop them)
+  call <pubkey> <method> [params]
+                           Make an RPC call and print the result
+                           (--relay to route through other peers)
   peers                    List connected peers
-  introduce <to> <target>  Introduce a peer to another
-  trust <pubkey>           Auto-accept introductions from peer
+  metrics [--prometheus]   Print node metrics as JSON or Prometheus text
+  topics                   List joined swarm topics
+  join <topic>             Join another swarm topic (--whitelist <pubkey,...>
+                           to admit peers on it only, --server-only, --client-only)
+  leave <topic>            Leave a swarm topic
+  introduce <to> <target> [alias]
+                           Introduce a peer to another
+  pending                  List pending introductions
+  accept-introduction <pubkey>
+  reject-introduction <pubkey>
+  whitelist <pubkey>       Allow a peer to connect (--remove to revoke)
+  trust <pubkey>           Auto-accept introductions from peer (--off to stop)
+  revoke <pubkey>          Stop trusting a peer's introductions
+                           (--cascade, --announce, --reason <text>)
+  role <pubkey> <role>     Grant a role used by method access policies (--remove)
+  graph [--dot]            Print the trust graph as JSON or Graphviz DOT
+  why-trusted <pubkey>     Show the approval chain behind a peer
+  bans                     List peers suspended or banned for flooding
+  unban <pubkey>           Lift a suspension or ban
   help                     Show this help
 
+Commands other than start and identity talk to a running node through its
+control socket (--control <path>, default: ~/.aronia/control.sock).
+The whitelist, trust settings and pending introductions of a started node are
+kept in --storage (default: ~/.aronia/trust.json) across restarts.
+
+Identity options:
+  --keystore <path>        Keystore file (default: ~/.aronia/identity.json)
+  --passphrase <secret>    Keystore passphrase (or set ARONIA_PASSPHRASE)
+  --seed <hex>             Derive a new identity from a 32-byte seed
+  --export-passphrase <s>  Passphrase for 'identity export' (default: same)
+  --import-passphrase <s>  Passphrase of the file for 'identity import'
+
 Examples:
   bare cli.js start --topic my-swarm
+  bare cli.js identity export backup.json
   bare cli.js send b8e1c4f2... '{"method":"ping"}'
+  bare cli.js call b8e1c4f2... ping
+  bare cli.js publish tasks.build '{"commit":"abc123"}'
   bare cli.js introduce <peer-pubkey> <new-peer-pubkey>
 `);
 }
@@ -35,25 +94,53 @@ async function main() {
   switch (command) {
     case 'start': {
       const topic = getArg('--topic') || 'aronia-default';
-      const keyPair = crypto.keyPair();
+
+      const node = new AroniaNode({
+        keystore: getKeystoreOptions(),
+        topic,
+        storage: getArg('--storage') || path.join(os.homedir(), '.aronia', 'trust.json'),
+        outbox: getArg('--outbox'),
+        relay: args.includes('--relay'),
+        tracing: getArg('--trace'),
+        rateLimit: args.includes('--rate-limit'),
+      });
+
+      // Bad frames from peers and failed writes of the trust or span file
+      // are reported here rather than stopping the node
+      node.on('error', (err) => {
+        console.error(`\n[!] ${err.message}`);
+      });
+
+      const controlPath = getControlPath();
+      const control = new ControlServer(node);
+      await control.listen(controlPath);
+
+      const metricsPort = getArg('--metrics-port');
+      const metricsServer = new MetricsServer(node);
+      if (metricsPort) {
+        await metricsServer.listen(Number(metricsPort));
+      }
 
       console.log(`
 ╔════════════════════════════════════════╗
 ║           ARONIA NODE STARTED          ║
 ╚════════════════════════════════════════╝
 
-Public Key: ${keyPair.publicKey.toString('hex')}
+Public Key: ${node.keyPair.publicKey.toString('hex')}
 Topic:      ${topic}
 
+Control:    ${controlPath}${metricsPort ? `\nMetrics:    http://127.0.0.1:${metricsPort}/metrics` : ''}
+
 Your agent is now discoverable on the DHT.
 Other agents can connect using your public key.
 `);
 
-      const node = new AroniaNode({
-        keyPair,
-        topic,
-        whitelist: new Set(), // Start with empty whitelist
-      });
+      const pattern = getArg('--subscribe');
+      if (pattern) {
+        node.subscribe(pattern, (data, { topic, pubkey }) => {
+          console.log(`\n[#] ${topic} from ${pubkey.slice(0, 16)}...: ${JSON.stringify(data)}`);
+        });
+      }
 
       // Event handlers
       node.on('peer:connected', (info) => {
@@ -65,10 +152,46 @@ Other agents can connect using your public key.
         console.log(`\n[-] Peer disconnected: ${pubkey.slice(0, 16)}...`);
       });
 
+      node.on('peer:reconnecting', (pubkey, attempt, maxAttempts) => {
+        console.log(`\n[~] Reconnecting to ${pubkey.slice(0, 16)}... (${attempt}/${maxAttempts})`);
+      });
+
+      node.on('peer:reconnected', (peer) => {
+        console.log(`\n[+] Peer reconnected: ${peer.pubkey.slice(0, 16)}...`);
+      });
+
+      node.on('peer:gave-up', (pubkey) => {
+        console.log(`\n[-] Gave up reconnecting to ${pubkey.slice(0, 16)}...`);
+      });
+
+      node.on('outbox:delivered', (item) => {
+        console.log(`\n[>] Delivered queued message ${item.id} to ${item.pubkey.slice(0, 16)}...`);
+      });
+
+      node.on('outbox:expired', (item) => {
+        console.log(`\n[!] Queued message ${item.id} to ${item.pubkey.slice(0, 16)}... expired`);
+      });
+
+      node.on('relay:forwarded', (origin, destination) => {
+        console.log(`\n[>] Relayed ${origin.slice(0, 16)}... -> ${destination.slice(0, 16)}...`);
+      });
+
       node.on('peer:rejected', (pubkey, reason) => {
         console.log(`\n[!] Peer rejected: ${pubkey.slice(0, 16)}... (${reason})`);
       });
 
+      node.on('peer:throttled', (pubkey, { reason }) => {
+        console.log(`\n[!] Throttling ${pubkey.slice(0, 16)}... (too many ${reason})`);
+      });
+
+      node.on('peer:suspended', (pubkey, { until }) => {
+        console.log(`\n[!] Suspended ${pubkey.slice(0, 16)}... until ${new Date(until).toISOString()}`);
+      });
+
+      node.on('peer:banned', (pubkey) => {
+        console.log(`\n[!] Banned ${pubkey.slice(0, 16)}...`);
+      });
+
       node.on('introduction:received', (intro) => {
         console.log(`\n[?] Introduction received for: ${intro.alias}`);
         console.log(`    Pubkey: ${intro.pubkey.slice(0, 16)}...`);
@@ -81,9 +204,24 @@ Other agents can connect using your public key.
         console.log(`    Introduced by: ${introducer.slice(0, 16)}...`);
       });
 
+      node.on('revocation:received', (notice) => {
+        console.log(`\n[!] ${notice.revokerPubkey.slice(0, 16)}... revoked ${notice.pubkey.slice(0, 16)}...`);
+        if (notice.reason) console.log(`    Reason: ${notice.reason}`);
+      });
+
+      node.on('introduction:connected', (pubkey) => {
+        console.log(`\n[✓] Connected to introduced peer: ${pubkey.slice(0, 16)}...`);
+      });
+
+      node.on('introduction:failed', (pubkey, reason) => {
+        console.log(`\n[!] Could not connect to introduced peer: ${pubkey.slice(0, 16)}... (${reason})`);
+      });
+
       // Graceful shutdown
       process.on('SIGINT', async () => {
         console.log('\n\nShutting down...');
+        await control.close();
+        await metricsServer.close();
         await node.stop();
         process.exit(0);
       });
@@ -94,26 +232,277 @@ Other agents can connect using your public key.
     }
 
     case 'identity': {
-      const keyPair = crypto.keyPair();
+      const keystore = getKeystoreOptions();
+      const subcommand = args[1];
+
+      if (subcommand === 'export') {
+        const file = args[2];
+        if (!file) {
+          console.error('Error: Missing file');
+          console.log('Usage: bare cli.js identity export <file>');
+          process.exit(1);
+        }
+        const keyPair = loadKeyPair(keystore.path, keystore.passphrase);
+        saveKeyPair(file, keyPair, getArg('--export-passphrase') || keystore.passphrase);
+        console.log(`Exported ${keyPair.publicKey.toString('hex')} to ${file}`);
+        break;
+      }
+
+      if (subcommand === 'import') {
+        const file = args[2];
+        if (!file) {
+          console.error('Error: Missing file');
+          console.log('Usage: bare cli.js identity import <file>');
+          process.exit(1);
+        }
+        if (fs.existsSync(keystore.path) && !args.includes('--force')) {
+          console.error(`Error: ${keystore.path} already exists (use --force to replace it)`);
+          process.exit(1);
+        }
+        const keyPair = loadKeyPair(file, getArg('--import-passphrase') || keystore.passphrase);
+        saveKeyPair(keystore.path, keyPair, keystore.passphrase);
+        console.log(`Imported ${keyPair.publicKey.toString('hex')} into ${keystore.path}`);
+        break;
+      }
+
+      const keyPair = openKeystore(keystore.path, keystore);
       console.log('Public Key:', keyPair.publicKey.toString('hex'));
+      console.log('Keystore:  ', keystore.path);
       break;
     }
 
     case 'send': {
-      console.log('Send command requires a running node.');
-      console.log("Use 'bare cli.js start' to start a node first.");
+      const pubkey = args[1];
+      const message = args[2];
+      if (!pubkey || message === undefined) {
+        console.error('Error: Missing pubkey or message');
+        console.log('Usage: bare cli.js send <pubkey> <message>');
+        process.exit(1);
+      }
+      const reliable = args.includes('--reliable');
+      const relay = args.includes('--relay');
+      const { queued, attempts } = await control('send', {
+        pubkey,
+        payload: parseJSONArg(message),
+        reliable,
+        relay,
+      });
+      if (relay) {
+        console.log(`Relayed to ${pubkey.slice(0, 16)}...`);
+      } else if (reliable) {
+        console.log(`Delivered to ${pubkey.slice(0, 16)}... (${attempts} attempt(s))`);
+      } else if (queued) {
+        console.log(`${pubkey.slice(0, 16)}... is offline, message queued`);
+      } else {
+        console.log(`Sent to ${pubkey.slice(0, 16)}...`);
+      }
+      break;
+    }
+
+    case 'publish': {
+      const topic = args[1];
+      const data = args[2];
+      if (!topic || data === undefined) {
+        console.error('Error: Missing topic or data');
+        console.log('Usage: bare cli.js publish <topic> <data>');
+        process.exit(1);
+      }
+      const { sent } = await control('publish', { topic, data: parseJSONArg(data) });
+      console.log(`Published to ${sent} peer(s)`);
+      break;
+    }
+
+    case 'outbox': {
+      const pubkey = args[1] !== undefined && !args[1].startsWith('--')
+        ? args[1]
+        : undefined;
+      if (args.includes('--purge')) {
+        const { purged } = await control('outbox', { pubkey, purge: true });
+        console.log(`Purged ${purged} queued message(s)`);
+        break;
+      }
+      const items = await control('outbox', { pubkey });
+      if (items.length === 0) {
+        console.log('Outbox is empty.');
+        break;
+      }
+      for (const item of items) {
+        console.log(`${item.id}  to ${item.pubkey.slice(0, 16)}...  expires ${new Date(item.expiresAt).toISOString()}`);
+      }
+      break;
+    }
+
+    case 'call': {
+      const pubkey = args[1];
+      const method = args[2];
+      if (!pubkey || !method) {
+        console.error('Error: Missing pubkey or method');
+        console.log('Usage: bare cli.js call <pubkey> <method> [params]');
+        process.exit(1);
+      }
+      const params = args[3] !== undefined && !args[3].startsWith('--')
+        ? parseJSONArg(args[3])
+        : {};
+      const timeout = getArg('--timeout');
+      const result = await control('request', {
+        pubkey,
+        method,
+        params,
+        timeout: timeout ? Number(timeout) : undefined,
+        relay: args.includes('--relay'),
+      });
+      console.log(JSON.stringify(result, null, 2));
       break;
     }
 
     case 'peers': {
-      console.log('Peers command requires a running node.');
-      console.log("Use 'bare cli.js start' to start a node first.");
+      const peers = await control('peers');
+      if (peers.length === 0) {
+        console.log('No connected peers.');
+        break;
+      }
+      for (const peer of peers) {
+        const status = peer.online ? 'online' : 'offline';
+        const rtt = peer.quality.srtt !== null ? `${Math.round(peer.quality.srtt)}ms` : '-';
+        console.log(`${peer.pubkey}  ${status}  ${peer.capabilities.agent} v${peer.capabilities.version}  rtt ${rtt}  ${peer.topics.join(',')}`);
+      }
+      break;
+    }
+
+    case 'metrics': {
+      if (args.includes('--prometheus')) {
+        process.stdout.write(await control('metrics', { format: 'prometheus' }));
+      } else {
+        console.log(JSON.stringify(await control('metrics'), null, 2));
+      }
+      break;
+    }
+
+    case 'topics': {
+      const topics = await control('topics');
+      for (const topic of topics) {
+        const mode = topic.server && topic.client ? 'server+client' : topic.server ? 'server' : 'client';
+        console.log(`${topic.name}  ${mode}  ${topic.peers.length} peer(s)`);
+      }
+      break;
+    }
+
+    case 'join': {
+      const name = args[1];
+      if (!name) {
+        console.error('Error: Missing topic');
+        console.log('Usage: bare cli.js join <topic>');
+        process.exit(1);
+      }
+      const whitelist = getArg('--whitelist');
+      await control('join-topic', {
+        name,
+        whitelist: whitelist ? whitelist.split(',') : undefined,
+        server: !args.includes('--client-only'),
+        client: !args.includes('--server-only'),
+      });
+      console.log(`Joined ${name}`);
+      break;
+    }
+
+    case 'leave': {
+      const name = args[1];
+      if (!name) {
+        console.error('Error: Missing topic');
+        console.log('Usage: bare cli.js leave <topic>');
+        process.exit(1);
+      }
+      const { left } = await control('leave-topic', { name });
+      console.log(left ? `Left ${name}` : `Not in topic ${name}`);
+      break;
+    }
+
+    case 'bans': {
+      const blocked = await control('bans');
+      if (blocked.length === 0) {
+        console.log('No suspended or banned peers');
+      }
+      for (const { pubkey, until, banned } of blocked) {
+        const expires = until === null ? 'permanently' : `until ${new Date(until).toISOString()}`;
+        console.log(`${pubkey}  ${banned ? 'banned' : 'suspended'} ${expires}`);
+      }
+      break;
+    }
+
+    case 'unban': {
+      const pubkey = args[1];
+      if (!pubkey) {
+        console.error('Error: Missing pubkey');
+        console.log('Usage: bare cli.js unban <pubkey>');
+        process.exit(1);
+      }
+      const { unbanned } = await control('unban', { pubkey });
+      console.log(unbanned ? `Unbanned ${pubkey.slice(0, 16)}...` : 'Peer was not suspended or banned');
       break;
     }
 
     case 'introduce': {
-      console.log('Introduce command requires a running node.');
-      console.log("Use 'bare cli.js start' to start a node first.");
+      const peerPubkey = args[1];
+      const targetPubkey = args[2];
+      if (!peerPubkey || !targetPubkey) {
+        console.error('Error: Missing pubkeys');
+        console.log('Usage: bare cli.js introduce <to> <target> [alias]');
+        process.exit(1);
+      }
+      const alias = args[3] !== undefined && !args[3].startsWith('--')
+        ? args[3]
+        : targetPubkey.slice(0, 16);
+      const { targetNotified } = await control('introduce', {
+        peerPubkey,
+        targetPubkey,
+        alias,
+        message: getArg('--message'),
+      });
+      console.log(`Introduced ${targetPubkey.slice(0, 16)}... to ${peerPubkey.slice(0, 16)}...`);
+      if (!targetNotified) {
+        console.log('Target is not connected; only one side was notified.');
+      }
+      break;
+    }
+
+    case 'pending': {
+      const pending = await control('pending');
+      if (pending.length === 0) {
+        console.log('No pending introductions.');
+        break;
+      }
+      for (const intro of pending) {
+        console.log(`${intro.pubkey}  ${intro.alias}  (from ${intro.introducerPubkey.slice(0, 16)}...)`);
+      }
+      break;
+    }
+
+    case 'accept-introduction':
+    case 'reject-introduction': {
+      const pubkey = args[1];
+      if (!pubkey) {
+        console.error('Error: Missing pubkey');
+        console.log(`Usage: bare cli.js ${command} <pubkey>`);
+        process.exit(1);
+      }
+      await control(command, { pubkey });
+      const verb = command === 'accept-introduction' ? 'Accepted' : 'Rejected';
+      console.log(`${verb} introduction for ${pubkey.slice(0, 16)}...`);
+      break;
+    }
+
+    case 'whitelist': {
+      const pubkey = args[1];
+      if (!pubkey) {
+        console.error('Error: Missing pubkey');
+        console.log('Usage: bare cli.js whitelist <pubkey> [--remove]');
+        process.exit(1);
+      }
+      const { whitelisted } = await control('whitelist', {
+        pubkey,
+        remove: args.includes('--remove'),
+      });
+      console.log(`${pubkey.slice(0, 16)}... ${whitelisted ? 'whitelisted' : 'removed from whitelist'}`);
       break;
     }
 
@@ -121,11 +510,91 @@ Other agents can connect using your public key.
       const pubkey = args[1];
       if (!pubkey) {
         console.error('Error: Missing pubkey');
-        console.log('Usage: bare cli.js trust <pubkey>');
+        console.log('Usage: bare cli.js trust <pubkey> [--off]');
+        process.exit(1);
+      }
+      const { autoAccept } = await control('trust', {
+        pubkey,
+        autoAccept: !args.includes('--off'),
+      });
+      console.log(`Auto-accept introductions from ${pubkey.slice(0, 16)}...: ${autoAccept ? 'on' : 'off'}`);
+      break;
+    }
+
+    case 'revoke': {
+      const pubkey = args[1];
+      if (!pubkey) {
+        console.error('Error: Missing pubkey');
+        console.log('Usage: bare cli.js revoke <pubkey> [--cascade] [--announce] [--reason <text>]');
         process.exit(1);
       }
-      console.log(`Trust configuration for ${pubkey.slice(0, 16)}...`);
-      console.log('(Requires running node)');
+      const { removed, announced } = await control('revoke', {
+        pubkey,
+        cascade: args.includes('--cascade'),
+        announce: args.includes('--announce'),
+        reason: getArg('--reason'),
+      });
+      console.log(`Revoked trust in ${pubkey.slice(0, 16)}...`);
+      for (const key of removed) {
+        console.log(`  removed ${key.slice(0, 16)}...`);
+      }
+      if (announced > 0) {
+        console.log(`Revocation announced to ${announced} peer(s)`);
+      }
+      break;
+    }
+
+    case 'role': {
+      const pubkey = args[1];
+      const role = args[2];
+      if (!pubkey || !role) {
+        console.error('Error: Missing pubkey or role');
+        console.log('Usage: bare cli.js role <pubkey> <role> [--remove]');
+        process.exit(1);
+      }
+      const { roles } = await control('role', {
+        pubkey,
+        role,
+        remove: args.includes('--remove'),
+      });
+      console.log(`Roles for ${pubkey.slice(0, 16)}...: ${roles.join(', ') || '(none)'}`);
+      break;
+    }
+
+    case 'graph': {
+      const graph = await control('trust-graph', {
+        format: args.includes('--dot') ? 'dot' : 'json',
+      });
+      if (typeof graph === 'string') {
+        process.stdout.write(graph);
+      } else {
+        console.log(JSON.stringify(graph, null, 2));
+      }
+      break;
+    }
+
+    case 'why-trusted': {
+      const pubkey = args[1];
+      if (!pubkey) {
+        console.error('Error: Missing pubkey');
+        console.log('Usage: bare cli.js why-trusted <pubkey>');
+        process.exit(1);
+      }
+      const reason = await control('why-trusted', { pubkey });
+      if (!reason) {
+        console.log(`${pubkey.slice(0, 16)}... is not trusted.`);
+        break;
+      }
+      for (const edge of reason.path) {
+        const when = edge.addedAt ? new Date(edge.addedAt).toISOString() : 'unknown';
+        const how = edge.type === 'manual'
+          ? 'approved manually'
+          : `introduced by ${edge.from.slice(0, 16)}...`;
+        console.log(`${edge.to.slice(0, 16)}...  ${how}  (${when})`);
+      }
+      if (!reason.anchored) {
+        console.log('Chain is broken: an introducer is no longer trusted.');
+      }
       break;
     }
 
@@ -135,6 +604,48 @@ Other agents can connect using your public key.
   }
 }
 
+function getControlPath() {
+  return getArg('--control') || path.join(os.homedir(), '.aronia', 'control.sock');
+}
+
+async function control(command, commandArgs) {
+  const controlPath = getControlPath();
+  try {
+    return await callControl(controlPath, command, commandArgs);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+      console.error(`Error: No running node at ${controlPath}`);
+      console.log("Use 'bare cli.js start' to start a node first.");
+      process.exit(1);
+    }
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseJSONArg(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return { message: value };
+  }
+}
+
+function getKeystoreOptions() {
+  const passphrase = getArg('--passphrase') || process.env.ARONIA_PASSPHRASE;
+  if (!passphrase) {
+    console.error('Error: Missing keystore passphrase');
+    console.log('Pass --passphrase or set ARONIA_PASSPHRASE');
+    process.exit(1);
+  }
+
+  return {
+    path: getArg('--keystore') || path.join(os.homedir(), '.aronia', 'identity.json'),
+    passphrase,
+    seed: getArg('--seed'),
+  };
+}
+
 function getArg(name) {
   const index = args.indexOf(name);
   if (index !== -1 && index + 1 < args.length) {
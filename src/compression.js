@@ -0,0 +1,62 @@
+// src/compression.js
+// Payload compression codecs for COMPRESSED frames (Bare-compatible)
+
+import zlib from 'bare-zlib';
+import { ProtocolError } from './types.js';
+
+const codecs = {
+  deflate: {
+    compress: (buffer) => zlib.deflateSync(buffer),
+    decompress: (buffer, maxLength) =>
+      zlib.inflateSync(buffer, { maxOutputLength: maxLength }),
+  },
+  gzip: {
+    compress: (buffer) => zlib.gzipSync(buffer),
+    decompress: (buffer, maxLength) =>
+      zlib.gunzipSync(buffer, { maxOutputLength: maxLength }),
+  },
+};
+
+export function getCompressionCodecs() {
+  return Object.keys(codecs);
+}
+
+// Picks the codec a sender uses: the first entry in the sender's preference
+// list that the receiver also supports. Both ends evaluate this with the
+// same two lists, so they agree on the codec for each direction.
+export function negotiateCompression(senderCodecs, receiverCodecs) {
+  if (!Array.isArray(senderCodecs) || !Array.isArray(receiverCodecs)) {
+    return null;
+  }
+
+  for (const name of senderCodecs) {
+    if (receiverCodecs.includes(name) && codecs[name]) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+export function compress(codec, buffer) {
+  const impl = codecs[codec];
+  if (!impl) {
+    throw new ProtocolError(`Unknown compression codec: ${codec}`);
+  }
+  return impl.compress(buffer);
+}
+
+export function decompress(codec, buffer, maxLength) {
+  const impl = codecs[codec];
+  if (!impl) {
+    throw new ProtocolError(`Unknown compression codec: ${codec}`);
+  }
+
+  try {
+    return impl.decompress(buffer, maxLength);
+  } catch (err) {
+    throw new ProtocolError(
+      `Failed to decompress payload: ${err instanceof Error ? err.message : err}`
+    );
+  }
+}
@@ -0,0 +1,341 @@
+// src/control.js
+// Local control socket for operating a running node (Bare-compatible)
+
+import fs from 'bare-fs';
+import Buffer from 'bare-buffer';
+import path from 'bare-path';
+import Pipe from 'bare-pipe';
+import { MessageType, AroniaError } from './types.js';
+
+// Requests and responses are newline-delimited JSON:
+//   -> { "id": 1, "command": "peers", "args": {} }
+//   <- { "id": 1, "result": [...] }  or  { "id": 1, "error": { "message" } }
+export class ControlServer {
+  constructor(node) {
+    this.node = node;
+    this.server = null;
+    this.path = null;
+    this.commands = new Map();
+    this.sockets = new Set();
+
+    this.registerBuiltInCommands();
+  }
+
+  registerBuiltInCommands() {
+    const node = this.node;
+
+    this.registerCommand("ping", async () => ({ pong: true }));
+
+    this.registerCommand("identity", async () => ({
+      pubkey: node.keyPair.publicKey.toString("hex"),
+    }));
+
+    this.registerCommand("peers", async () => node.getAllPeers());
+
+    this.registerCommand("topics", async () => node.getTopics());
+
+    this.registerCommand("metrics", async ({ format = "json" }) =>
+      format === "prometheus" ? node.getMetricsText() : node.getMetrics()
+    );
+
+    this.registerCommand("join-topic", async ({ name, whitelist, server, client }) =>
+      node.joinTopic(name, { whitelist, server, client })
+    );
+
+    this.registerCommand("leave-topic", async ({ name }) => ({
+      left: await node.leaveTopic(name),
+    }));
+
+    this.registerCommand("send", async ({ pubkey, payload, ttl, reliable, relay }) => {
+      if (relay) {
+        node.sendRelayed(pubkey, { type: MessageType.EVENT, payload });
+        return { relayed: true };
+      }
+      if (reliable) {
+        return node.sendReliable(pubkey, { type: MessageType.EVENT, payload });
+      }
+
+      const result = await node.send(
+        pubkey,
+        { type: MessageType.EVENT, payload },
+        { ttl }
+      );
+      return result?.queued ? result : { sent: true };
+    });
+
+    this.registerCommand("outbox", async ({ pubkey, purge }) => {
+      if (purge) {
+        return { purged: node.purgeOutbox(pubkey) };
+      }
+      return node.getOutbox(pubkey).map(({ message, ...item }) => item);
+    });
+
+    this.registerCommand("publish", async ({ topic, data }) =>
+      node.publish(topic, data)
+    );
+
+    this.registerCommand("request", async ({ pubkey, method, params, timeout, relay }) =>
+      relay
+        ? node.requestRelayed(pubkey, method, params, timeout)
+        : node.request(pubkey, method, params, timeout)
+    );
+
+    this.registerCommand(
+      "introduce",
+      async ({ peerPubkey, targetPubkey, alias, capabilities, message }) => {
+        const known = node.getPeerInfo(targetPubkey)?.capabilities;
+        return node.introduce(
+          peerPubkey,
+          targetPubkey,
+          alias,
+          capabilities ?? {
+            agent: known?.agent ?? "unknown",
+            version: known?.version ?? "0.0.0",
+            accepts: known?.accepts ?? [],
+          },
+          message
+        );
+      }
+    );
+
+    this.registerCommand("pending", async () =>
+      node.getPendingIntroductions().map((intro) => ({
+        ...intro,
+        signature: Buffer.isBuffer(intro.signature)
+          ? intro.signature.toString("hex")
+          : intro.signature,
+      }))
+    );
+
+    this.registerCommand("accept-introduction", async ({ pubkey }) => {
+      await node.acceptIntroduction(pubkey);
+      return { accepted: true };
+    });
+
+    this.registerCommand("reject-introduction", async ({ pubkey }) => {
+      await node.rejectIntroduction(pubkey);
+      return { rejected: true };
+    });
+
+    this.registerCommand("whitelist", async ({ pubkey, remove }) => {
+      if (remove) {
+        node.removeFromWhitelist(pubkey);
+      } else {
+        node.addToWhitelist(pubkey);
+      }
+      return { whitelisted: node.isWhitelisted(pubkey) };
+    });
+
+    this.registerCommand("trust", async ({ pubkey, autoAccept = true }) => {
+      node.setTrust(pubkey, autoAccept);
+      return { autoAccept: node.getTrust(pubkey) };
+    });
+
+    this.registerCommand("role", async ({ pubkey, role, remove }) => {
+      if (remove) {
+        node.removeRole(pubkey, role);
+      } else {
+        node.assignRole(pubkey, role);
+      }
+      return { roles: node.getRoles(pubkey) };
+    });
+
+    this.registerCommand("trust-graph", async ({ format = "json" }) => {
+      const graph = node.getTrustGraph();
+      return format === "dot" ? graph.toDOT() : graph.toJSON();
+    });
+
+    this.registerCommand("bans", async () => node.getBlockedPeers());
+
+    this.registerCommand("unban", async ({ pubkey }) => ({
+      unbanned: node.unbanPeer(pubkey),
+    }));
+
+    this.registerCommand("why-trusted", async ({ pubkey }) => node.whyTrusted(pubkey));
+
+    this.registerCommand(
+      "revoke",
+      async ({ pubkey, cascade = false, announce = false, reason }) => {
+        const removed = node.revokeTrust(pubkey, cascade);
+        const { sent } = announce
+          ? await node.announceRevocation(pubkey, { cascade, reason })
+          : { sent: 0 };
+        return { removed, announced: sent };
+      }
+    );
+  }
+
+  registerCommand(name, handler) {
+    this.commands.set(name, handler);
+  }
+
+  async listen(socketPath) {
+    if (fs.existsSync(socketPath)) {
+      const running = await callControl(socketPath, "ping").then(
+        () => true,
+        () => false
+      );
+      if (running) {
+        throw new AroniaError(`A node is already listening on ${socketPath}`);
+      }
+      // Left behind by a node that did not shut down cleanly
+      fs.unlinkSync(socketPath);
+    }
+
+    fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+
+    // Bind inside an owner-only directory and move the socket into place once
+    // it is owner-only too, so it is never reachable with default permissions
+    const privateDir = fs.mkdtempSync(path.join(path.dirname(socketPath), ".control-"));
+    const boundPath = path.join(privateDir, "control.sock");
+
+    this.server = Pipe.createServer((socket) => this.handleSocket(socket));
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once("error", reject);
+        this.server.listen(boundPath, () => {
+          this.server.off("error", reject);
+          resolve();
+        });
+      });
+
+      fs.chmodSync(boundPath, 0o600);
+      fs.renameSync(boundPath, socketPath);
+    } catch (err) {
+      this.server.close();
+      this.server = null;
+      throw err;
+    } finally {
+      if (fs.existsSync(boundPath)) fs.unlinkSync(boundPath);
+      fs.rmdirSync(privateDir);
+    }
+
+    this.path = socketPath;
+  }
+
+  handleSocket(socket) {
+    let buffered = "";
+    this.sockets.add(socket);
+
+    socket.on("data", (data) => {
+      buffered += data.toString("utf-8");
+
+      let index;
+      while ((index = buffered.indexOf("\n")) !== -1) {
+        const line = buffered.slice(0, index);
+        buffered = buffered.slice(index + 1);
+        if (line.trim()) {
+          this.handleLine(socket, line).catch(() => socket.destroy());
+        }
+      }
+    });
+
+    socket.on("end", () => socket.end());
+    socket.on("close", () => this.sockets.delete(socket));
+    socket.on("error", () => {});
+  }
+
+  async handleLine(socket, line) {
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      socket.write(JSON.stringify({ id: null, error: { message: "Invalid JSON" } }) + "\n");
+      return;
+    }
+
+    const handler = this.commands.get(msg.command);
+    let response;
+
+    if (!handler) {
+      response = JSON.stringify({
+        id: msg.id,
+        error: { message: `Unknown command: ${msg.command}` },
+      });
+    } else {
+      try {
+        const result = await handler(msg.args ?? {});
+        // Results from peers may hold values JSON cannot, like BigInts
+        response = JSON.stringify({ id: msg.id, result });
+      } catch (err) {
+        response = JSON.stringify({
+          id: msg.id,
+          error: { message: err instanceof Error ? err.message : String(err) },
+        });
+      }
+    }
+
+    if (!socket.destroyed) {
+      socket.write(response + "\n");
+    }
+  }
+
+  async close() {
+    if (!this.server) return;
+
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+
+    if (this.path && fs.existsSync(this.path)) {
+      fs.unlinkSync(this.path);
+    }
+  }
+}
+
+export function callControl(socketPath, command, args = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = Pipe.createConnection(socketPath);
+    let buffered = "";
+    let answered = false;
+
+    socket.on("data", (data) => {
+      if (answered) return;
+      buffered += data.toString("utf-8");
+
+      const index = buffered.indexOf("\n");
+      if (index === -1) return;
+
+      answered = true;
+      socket.end();
+
+      let response;
+      try {
+        response = JSON.parse(buffered.slice(0, index));
+      } catch {
+        reject(new AroniaError("Invalid response from control socket"));
+        return;
+      }
+
+      if (response.error) {
+        reject(new AroniaError(response.error.message));
+      } else {
+        resolve(response.result);
+      }
+    });
+
+    const closed = () => {
+      if (!answered) {
+        answered = true;
+        reject(new AroniaError("Control socket closed without a response"));
+      }
+    };
+
+    socket.on("end", () => {
+      socket.end();
+      closed();
+    });
+    socket.on("close", closed);
+    socket.on("error", (err) => {
+      answered = true;
+      reject(err);
+    });
+    socket.on("connect", () => {
+      socket.write(JSON.stringify({ id: 1, command, args }) + "\n");
+    });
+  });
+}
@@ -0,0 +1,386 @@
+// src/encoding.js
+// Pluggable payload encodings for frames (Bare-compatible)
+
+import Buffer from 'bare-buffer';
+import { ProtocolError } from './types.js';
+
+// ============================================================================
+// CBOR (RFC 8949 subset)
+// ============================================================================
+
+// Typed arrays use the RFC 8746 little-endian tags. Their bytes are copied
+// as they sit in memory, which assumes a little-endian host like every
+// platform Bare runs on.
+const TYPED_ARRAY_TAGS = [
+  [Uint8Array, 64],
+  [Uint8ClampedArray, 68],
+  [Uint16Array, 69],
+  [Uint32Array, 70],
+  [BigUint64Array, 71],
+  [Int8Array, 72],
+  [Int16Array, 77],
+  [Int32Array, 78],
+  [BigInt64Array, 79],
+  [Float32Array, 85],
+  [Float64Array, 86],
+];
+
+const MAX_DEPTH = 256;
+
+class Writer {
+  constructor() {
+    this.buffer = Buffer.alloc(256);
+    this.offset = 0;
+  }
+
+  reserve(size) {
+    if (this.offset + size <= this.buffer.length) return;
+
+    const next = Buffer.alloc(Math.max(this.buffer.length * 2, this.offset + size));
+    this.buffer.copy(next, 0, 0, this.offset);
+    this.buffer = next;
+  }
+
+  byte(value) {
+    this.reserve(1);
+    this.buffer[this.offset++] = value;
+  }
+
+  head(major, length) {
+    const prefix = major << 5;
+
+    if (length < 24) {
+      this.byte(prefix | length);
+    } else if (length < 0x100) {
+      this.byte(prefix | 24);
+      this.byte(length);
+    } else if (length < 0x10000) {
+      this.byte(prefix | 25);
+      this.reserve(2);
+      this.buffer.writeUInt16BE(length, this.offset);
+      this.offset += 2;
+    } else if (length < 0x100000000) {
+      this.byte(prefix | 26);
+      this.reserve(4);
+      this.buffer.writeUInt32BE(length, this.offset);
+      this.offset += 4;
+    } else {
+      this.byte(prefix | 27);
+      this.reserve(8);
+      this.buffer.writeBigUInt64BE(BigInt(length), this.offset);
+      this.offset += 8;
+    }
+  }
+
+  bytes(data) {
+    this.reserve(data.length);
+    data.copy(this.buffer, this.offset);
+    this.offset += data.length;
+  }
+
+  float64(value) {
+    this.byte(0xfb);
+    this.reserve(8);
+    this.buffer.writeDoubleBE(value, this.offset);
+    this.offset += 8;
+  }
+
+  finish() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+function encodeValue(writer, value, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new ProtocolError("Payload nested too deeply");
+  }
+
+  if (value === null) return writer.byte(0xf6);
+  if (value === undefined) return writer.byte(0xf7);
+  if (value === true) return writer.byte(0xf5);
+  if (value === false) return writer.byte(0xf4);
+
+  switch (typeof value) {
+    case "number":
+      if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        if (value >= 0) writer.head(0, value);
+        else writer.head(1, -1 - value);
+      } else {
+        writer.float64(value);
+      }
+      return;
+
+    case "string": {
+      const data = Buffer.from(value);
+      writer.head(3, data.length);
+      writer.bytes(data);
+      return;
+    }
+
+    case "bigint":
+      throw new ProtocolError("Cannot encode bigint values");
+
+    case "function":
+    case "symbol":
+      return writer.byte(0xf7);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    writer.head(2, value.length);
+    writer.bytes(value);
+    return;
+  }
+
+  if (value instanceof ArrayBuffer) {
+    writer.head(2, value.byteLength);
+    writer.bytes(Buffer.from(value));
+    return;
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    const data = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    const entry = TYPED_ARRAY_TAGS.find(([ctor]) => value.constructor === ctor);
+    if (entry) writer.head(6, entry[1]);
+    writer.head(2, data.length);
+    writer.bytes(data);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    writer.head(4, value.length);
+    for (const item of value) {
+      encodeValue(writer, item, depth + 1);
+    }
+    return;
+  }
+
+  if (typeof value.toJSON === "function") {
+    encodeValue(writer, value.toJSON(), depth + 1);
+    return;
+  }
+
+  const keys = Object.keys(value).filter((key) => {
+    const type = typeof value[key];
+    return value[key] !== undefined && type !== "function" && type !== "symbol";
+  });
+
+  writer.head(5, keys.length);
+  for (const key of keys) {
+    encodeValue(writer, key, depth + 1);
+    encodeValue(writer, value[key], depth + 1);
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  ensure(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new ProtocolError("Truncated CBOR payload");
+    }
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.buffer[this.offset++];
+  }
+
+  argument(info) {
+    if (info < 24) return info;
+
+    let value;
+    switch (info) {
+      case 24:
+        return this.byte();
+      case 25:
+        this.ensure(2);
+        value = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+      case 26:
+        this.ensure(4);
+        value = this.buffer.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+      case 27:
+        this.ensure(8);
+        value = this.buffer.readBigUInt64BE(this.offset);
+        this.offset += 8;
+        if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+          throw new ProtocolError("CBOR integer out of range");
+        }
+        return Number(value);
+      default:
+        throw new ProtocolError(`Unsupported CBOR additional info: ${info}`);
+    }
+  }
+
+  bytes(length) {
+    this.ensure(length);
+    const data = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return data;
+  }
+}
+
+function decodeValue(reader, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new ProtocolError("Payload nested too deeply");
+  }
+
+  const initial = reader.byte();
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 23:
+        return undefined;
+      case 26:
+        return reader.bytes(4).readFloatBE(0);
+      case 27:
+        return reader.bytes(8).readDoubleBE(0);
+      default:
+        throw new ProtocolError(`Unsupported CBOR simple value: ${info}`);
+    }
+  }
+
+  const length = reader.argument(info);
+
+  switch (major) {
+    case 0:
+      return length;
+
+    case 1:
+      return -1 - length;
+
+    case 2:
+      return Buffer.from(reader.bytes(length));
+
+    case 3:
+      return reader.bytes(length).toString("utf-8");
+
+    case 4: {
+      const array = [];
+      for (let i = 0; i < length; i++) {
+        array.push(decodeValue(reader, depth + 1));
+      }
+      return array;
+    }
+
+    case 5: {
+      const object = {};
+      for (let i = 0; i < length; i++) {
+        const key = decodeValue(reader, depth + 1);
+        if (typeof key !== "string") {
+          throw new ProtocolError("CBOR map keys must be strings");
+        }
+        // Match JSON.parse, which makes __proto__ an own property
+        Object.defineProperty(object, key, {
+          value: decodeValue(reader, depth + 1),
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        });
+      }
+      return object;
+    }
+
+    case 6: {
+      const entry = TYPED_ARRAY_TAGS.find(([, tag]) => tag === length);
+      if (!entry) {
+        throw new ProtocolError(`Unsupported CBOR tag: ${length}`);
+      }
+
+      const data = decodeValue(reader, depth + 1);
+      const ctor = entry[0];
+      if (!Buffer.isBuffer(data) || data.length % ctor.BYTES_PER_ELEMENT !== 0) {
+        throw new ProtocolError(`Invalid typed array for CBOR tag ${length}`);
+      }
+
+      const copy = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+      return new ctor(copy);
+    }
+  }
+}
+
+export const cbor = {
+  encode(value) {
+    const writer = new Writer();
+    encodeValue(writer, value, 0);
+    return writer.finish();
+  },
+
+  decode(buffer) {
+    const reader = new Reader(buffer);
+    const value = decodeValue(reader, 0);
+    if (reader.offset !== buffer.length) {
+      throw new ProtocolError("Trailing bytes after CBOR payload");
+    }
+    return value;
+  },
+};
+
+// ============================================================================
+// Encoding Registry
+// ============================================================================
+
+export const json = {
+  encode: (value) => Buffer.from(JSON.stringify(value)),
+  decode: (buffer) => JSON.parse(buffer.toString("utf-8")),
+};
+
+const encodings = new Map([
+  ["cbor", cbor],
+  ["json", json],
+]);
+
+export function registerEncoding(name, codec) {
+  if (name === "json") {
+    throw new ProtocolError("The json encoding cannot be replaced");
+  }
+  encodings.set(name, codec);
+}
+
+export function getEncodings() {
+  return Array.from(encodings.keys());
+}
+
+export function negotiateEncoding(senderEncodings, receiverEncodings) {
+  if (!Array.isArray(senderEncodings) || !Array.isArray(receiverEncodings)) {
+    return null;
+  }
+
+  for (const name of senderEncodings) {
+    if (receiverEncodings.includes(name) && encodings.has(name)) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+export function encode(name, value) {
+  const codec = encodings.get(name);
+  if (!codec) {
+    throw new ProtocolError(`Unknown payload encoding: ${name}`);
+  }
+  return codec.encode(value);
+}
+
+export function decode(name, buffer) {
+  const codec = encodings.get(name);
+  if (!codec) {
+    throw new ProtocolError(`Unknown payload encoding: ${name}`);
+  }
+  return codec.decode(buffer);
+}
@@ -0,0 +1,48 @@
+// src/exporter.js
+// HTTP endpoint serving node metrics in the Prometheus text format (Bare-compatible)
+
+import Buffer from 'bare-buffer';
+import http from 'bare-http1';
+
+// Serves GET /metrics; anything else is a 404
+export class MetricsServer {
+  constructor(node) {
+    this.node = node;
+    this.server = null;
+  }
+
+  async listen(port, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+
+    return this.server.address();
+  }
+
+  handleRequest(req, res) {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    const body = Buffer.from(this.node.getMetricsText());
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/plain; version=0.0.4");
+    res.setHeader("Content-Length", body.length);
+    res.end(body);
+  }
+
+  async close() {
+    if (!this.server) return;
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+}
@@ -0,0 +1,30 @@
+// src/file.js
+// Crash-safe file helpers (Bare-compatible)
+
+import fs from 'bare-fs';
+import path from 'bare-path';
+
+// Writes to a temporary file, flushes it to disk and renames it over the
+// target, so readers see either the old contents or the new, never a torn
+// write.
+export function writeFileAtomic(filename, data, opts = {}) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const tmp = `${filename}.tmp`;
+  const fd = fs.openSync(tmp, "w", opts.mode ?? 0o644);
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tmp, filename);
+}
+
+export function readJSONFile(filename) {
+  if (!fs.existsSync(filename)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(filename, "utf-8"));
+}
@@ -0,0 +1,139 @@
+// src/graph.js
+// Trust graph built from the whitelist and introduction provenance (Bare-compatible)
+
+// A snapshot of who vouched for whom. Edges point from the key that vouched
+// to the key it vouched for; manual approvals are edges from ourselves.
+export class TrustGraph {
+  constructor(opts) {
+    this.self = opts.self;
+    this.nodes = new Map();
+    this.edges = [];
+
+    this.addNode(this.self, { self: true });
+
+    for (const pubkey of opts.whitelist) {
+      const record = opts.provenance.get(pubkey);
+      this.addNode(pubkey, { whitelisted: true });
+
+      if (!record || record.introducerPubkey === null) {
+        this.edges.push({
+          from: this.self,
+          to: pubkey,
+          type: "manual",
+          addedAt: record?.addedAt ?? null,
+        });
+      } else {
+        this.addNode(record.introducerPubkey);
+        this.edges.push({
+          from: record.introducerPubkey,
+          to: pubkey,
+          type: "introduced",
+          trustPath: record.trustPath,
+          addedAt: record.addedAt,
+        });
+      }
+    }
+
+    for (const intro of opts.pendingIntroductions) {
+      this.addNode(intro.pubkey);
+      this.addNode(intro.introducerPubkey);
+      this.edges.push({
+        from: intro.introducerPubkey,
+        to: intro.pubkey,
+        type: "pending",
+        trustPath: intro.trustPath,
+        addedAt: intro.receivedAt,
+      });
+    }
+
+    for (const pubkey of opts.autoAcceptFrom) {
+      this.addNode(pubkey).autoAccept = true;
+    }
+  }
+
+  addNode(pubkey, props = {}) {
+    let node = this.nodes.get(pubkey);
+    if (!node) {
+      node = { pubkey, self: false, whitelisted: false, autoAccept: false };
+      this.nodes.set(pubkey, node);
+    }
+    Object.assign(node, props);
+    return node;
+  }
+
+  // The trusted edge into pubkey: a manual approval or an accepted introduction
+  getTrustEdge(pubkey) {
+    return this.edges.find((edge) => edge.to === pubkey && edge.type !== "pending");
+  }
+
+  // Walks back from pubkey to the manual approval it descends from. The path
+  // is unanchored if an introducer on the way is no longer whitelisted.
+  whyTrusted(pubkey) {
+    if (pubkey === this.self) {
+      return { pubkey, anchored: true, path: [] };
+    }
+
+    const node = this.nodes.get(pubkey);
+    if (!node || !node.whitelisted) return null;
+
+    const path = [];
+    const seen = new Set();
+    let current = pubkey;
+
+    while (!seen.has(current)) {
+      seen.add(current);
+
+      const edge = this.getTrustEdge(current);
+      if (!edge) {
+        return { pubkey, anchored: false, path };
+      }
+
+      path.unshift(edge);
+      if (edge.type === "manual") {
+        return { pubkey, anchored: true, path };
+      }
+
+      current = edge.from;
+    }
+
+    return { pubkey, anchored: false, path };
+  }
+
+  getIntroducedBy(pubkey) {
+    return this.edges
+      .filter((edge) => edge.from === pubkey && edge.type === "introduced")
+      .map((edge) => edge.to);
+  }
+
+  toJSON() {
+    return {
+      self: this.self,
+      nodes: Array.from(this.nodes.values()),
+      edges: this.edges,
+    };
+  }
+
+  toDOT() {
+    const lines = ["digraph trust {", "  rankdir=LR;"];
+
+    for (const node of this.nodes.values()) {
+      const attrs = [`label="${node.pubkey.slice(0, 8)}"`];
+      if (node.self) attrs.push("shape=doublecircle");
+      if (!node.self && !node.whitelisted) attrs.push("style=dashed");
+      if (node.autoAccept) attrs.push("color=blue");
+      lines.push(`  "${node.pubkey}" [${attrs.join(", ")}];`);
+    }
+
+    for (const edge of this.edges) {
+      const attrs = [`label="${edge.type}"`];
+      if (edge.type === "pending") attrs.push("style=dashed");
+      if (edge.addedAt) {
+        attrs.push(`tooltip="${new Date(edge.addedAt).toISOString()}"`);
+      }
+      lines.push(`  "${edge.from}" -> "${edge.to}" [${attrs.join(", ")}];`);
+    }
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+  }
+}
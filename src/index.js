@@ -3,8 +3,25 @@
 
 export { AroniaNode } from './node.js';
 export { PeerConnection } from './peer.js';
+export { ControlServer, callControl } from './control.js';
+export { TrustGraph } from './graph.js';
+export { Metrics, toPrometheus } from './metrics.js';
+export { MetricsServer } from './exporter.js';
+export { Tracer, Span, isTraceContext, createJsonLinesExporter } from './tracing.js';
+export { RateLimiter, TokenBucket } from './ratelimit.js';
+export { topicMatches, isValidTopic, isValidPattern } from './pubsub.js';
+export { RemoteStream, StreamSink } from './stream.js';
 export * from './types.js';
 export * from './protocol.js';
+export { registerEncoding, cbor } from './encoding.js';
+export {
+  openKeystore,
+  loadKeyPair,
+  saveKeyPair,
+  exportKeyPair,
+  importKeyPair,
+  deriveKeyPair,
+} from './keystore.js';
 
 // Re-export crypto for key generation
 export { default as crypto } from 'hypercore-crypto';
@@ -0,0 +1,173 @@
+// src/keystore.js
+// Persistent identity keystore with passphrase-encrypted secret keys (Bare-compatible)
+
+import fs from 'bare-fs';
+import Buffer from 'bare-buffer';
+import crypto from 'hypercore-crypto';
+import sodium from 'sodium-universal';
+import { KeystoreError } from './types.js';
+import { writeFileAtomic, readJSONFile } from './file.js';
+
+const KEYSTORE_VERSION = 1;
+
+export function deriveKeyPair(seed) {
+  const seedBuffer = typeof seed === "string" ? Buffer.from(seed, "hex") : seed;
+
+  if (!seedBuffer || seedBuffer.length !== sodium.crypto_sign_SEEDBYTES) {
+    throw new KeystoreError(
+      `Seed must be ${sodium.crypto_sign_SEEDBYTES} bytes (${
+        sodium.crypto_sign_SEEDBYTES * 2
+      } hex characters)`
+    );
+  }
+
+  return crypto.keyPair(seedBuffer);
+}
+
+function deriveKey(passphrase, salt, opslimit, memlimit) {
+  if (!passphrase) {
+    throw new KeystoreError("A passphrase is required");
+  }
+
+  const key = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES);
+  sodium.crypto_pwhash(
+    key,
+    Buffer.from(passphrase),
+    salt,
+    opslimit,
+    memlimit,
+    sodium.crypto_pwhash_ALG_ARGON2ID13
+  );
+  return key;
+}
+
+export function exportKeyPair(keyPair, passphrase, opts = {}) {
+  const opslimit = opts.opslimit ?? sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE;
+  const memlimit = opts.memlimit ?? sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE;
+
+  const salt = Buffer.alloc(sodium.crypto_pwhash_SALTBYTES);
+  const nonce = Buffer.alloc(sodium.crypto_secretbox_NONCEBYTES);
+  sodium.randombytes_buf(salt);
+  sodium.randombytes_buf(nonce);
+
+  const key = deriveKey(passphrase, salt, opslimit, memlimit);
+  const ciphertext = Buffer.alloc(
+    keyPair.secretKey.length + sodium.crypto_secretbox_MACBYTES
+  );
+  sodium.crypto_secretbox_easy(ciphertext, keyPair.secretKey, nonce, key);
+  sodium.sodium_memzero(key);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: keyPair.publicKey.toString("hex"),
+    kdf: {
+      algorithm: "argon2id13",
+      salt: salt.toString("hex"),
+      opslimit,
+      memlimit,
+    },
+    cipher: "xsalsa20poly1305",
+    nonce: nonce.toString("hex"),
+    secretKey: ciphertext.toString("hex"),
+  };
+}
+
+// Truncated or hand-edited files fail here rather than inside sodium
+function readHex(value, length, field) {
+  if (typeof value !== "string" || value.length !== length * 2 || !/^[0-9a-f]*$/i.test(value)) {
+    throw new KeystoreError(`Corrupted keystore: invalid ${field}`);
+  }
+  return Buffer.from(value, "hex");
+}
+
+function readLimit(value, min, max, field) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new KeystoreError(`Corrupted keystore: invalid ${field}`);
+  }
+  return value;
+}
+
+export function importKeyPair(data, passphrase) {
+  if (!data || data.version !== KEYSTORE_VERSION) {
+    throw new KeystoreError(`Unsupported keystore version: ${data?.version}`);
+  }
+
+  if (data.kdf?.algorithm !== "argon2id13" || data.cipher !== "xsalsa20poly1305") {
+    throw new KeystoreError("Unsupported keystore algorithms");
+  }
+
+  const salt = readHex(data.kdf.salt, sodium.crypto_pwhash_SALTBYTES, "salt");
+  const nonce = readHex(data.nonce, sodium.crypto_secretbox_NONCEBYTES, "nonce");
+  const ciphertext = readHex(
+    data.secretKey,
+    sodium.crypto_sign_SECRETKEYBYTES + sodium.crypto_secretbox_MACBYTES,
+    "secret key"
+  );
+  const publicKey = readHex(data.publicKey, sodium.crypto_sign_PUBLICKEYBYTES, "public key");
+  const opslimit = readLimit(
+    data.kdf.opslimit,
+    sodium.crypto_pwhash_OPSLIMIT_MIN,
+    sodium.crypto_pwhash_OPSLIMIT_MAX,
+    "opslimit"
+  );
+  const memlimit = readLimit(
+    data.kdf.memlimit,
+    sodium.crypto_pwhash_MEMLIMIT_MIN,
+    sodium.crypto_pwhash_MEMLIMIT_MAX,
+    "memlimit"
+  );
+
+  const key = deriveKey(passphrase, salt, opslimit, memlimit);
+  const secretKey = Buffer.alloc(sodium.crypto_sign_SECRETKEYBYTES);
+
+  const opened = sodium.crypto_secretbox_open_easy(secretKey, ciphertext, nonce, key);
+  sodium.sodium_memzero(key);
+
+  if (!opened) {
+    throw new KeystoreError("Wrong passphrase or corrupted keystore");
+  }
+
+  const keyPair = { publicKey, secretKey };
+
+  if (!crypto.validateKeyPair(keyPair)) {
+    throw new KeystoreError("Public key does not match secret key");
+  }
+
+  return keyPair;
+}
+
+export function saveKeyPair(filename, keyPair, passphrase, opts) {
+  const data = exportKeyPair(keyPair, passphrase, opts);
+  writeFileAtomic(filename, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+export function loadKeyPair(filename, passphrase) {
+  let data;
+  try {
+    data = readJSONFile(filename);
+  } catch (err) {
+    throw new KeystoreError(
+      `Cannot read ${filename}: ${err instanceof Error ? err.message : err}`
+    );
+  }
+
+  if (data === undefined) {
+    throw new KeystoreError(`No keystore at ${filename}`);
+  }
+  if (data === null || typeof data !== "object") {
+    throw new KeystoreError(`Corrupted keystore: ${filename} does not hold a keystore`);
+  }
+  return importKeyPair(data, passphrase);
+}
+
+// Loads the identity stored at filename, creating it on first use. A new
+// identity is derived from opts.seed when given, otherwise it is random.
+export function openKeystore(filename, opts = {}) {
+  if (fs.existsSync(filename)) {
+    return loadKeyPair(filename, opts.passphrase);
+  }
+
+  const keyPair = opts.seed ? deriveKeyPair(opts.seed) : crypto.keyPair();
+  saveKeyPair(filename, keyPair, opts.passphrase, opts);
+  return keyPair;
+}
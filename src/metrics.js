@@ -0,0 +1,152 @@
+// src/metrics.js
+// Counters, gauges and histograms with a Prometheus text exporter (Bare-compatible)
+
+import { AroniaError } from './types.js';
+
+export const DEFAULT_LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// Metric families are declared up front with define(); each distinct label
+// set within a family is its own series.
+export class Metrics {
+  constructor() {
+    this.families = new Map();
+  }
+
+  define(name, type, help, opts = {}) {
+    this.families.set(name, {
+      name,
+      type,
+      help,
+      buckets: type === "histogram" ? opts.buckets ?? DEFAULT_LATENCY_BUCKETS : undefined,
+      series: new Map(),
+    });
+  }
+
+  getSeries(name, labels) {
+    const family = this.families.get(name);
+    if (!family) {
+      throw new AroniaError(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(
+      Object.keys(labels)
+        .sort()
+        .map((label) => [label, labels[label]])
+    );
+
+    let series = family.series.get(key);
+    if (!series) {
+      series =
+        family.type === "histogram"
+          ? {
+              labels,
+              counts: new Array(family.buckets.length).fill(0),
+              sum: 0,
+              count: 0,
+            }
+          : { labels, value: 0 };
+      family.series.set(key, series);
+    }
+    return { family, series };
+  }
+
+  inc(name, labels = {}, value = 1) {
+    this.getSeries(name, labels).series.value += value;
+  }
+
+  set(name, labels = {}, value) {
+    this.getSeries(name, labels).series.value = value;
+  }
+
+  // Drops every series of a gauge so it can be refilled from scratch
+  reset(name) {
+    this.families.get(name)?.series.clear();
+  }
+
+  // Drops the series of a family whose labels include all of the given ones
+  remove(name, labels) {
+    const family = this.families.get(name);
+    if (!family) return;
+
+    for (const [key, series] of family.series) {
+      if (Object.entries(labels).every(([label, value]) => series.labels[label] === value)) {
+        family.series.delete(key);
+      }
+    }
+  }
+
+  observe(name, labels = {}, value) {
+    const { family, series } = this.getSeries(name, labels);
+
+    family.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Histogram buckets are cumulative, as in the Prometheus exposition format
+  toJSON() {
+    return Array.from(this.families.values(), (family) => ({
+      name: family.name,
+      type: family.type,
+      help: family.help,
+      series: Array.from(family.series.values(), (series) =>
+        family.type === "histogram"
+          ? {
+              labels: series.labels,
+              buckets: family.buckets.map((le, i) => ({ le, count: series.counts[i] })),
+              sum: series.sum,
+              count: series.count,
+            }
+          : { labels: series.labels, value: series.value }
+      ),
+    }));
+  }
+}
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const pairs = Object.entries({ ...labels, ...extra }).map(
+    ([label, value]) => `${label}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// Renders the output of Metrics.toJSON() in the Prometheus text format
+export function toPrometheus(families) {
+  const lines = [];
+
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+
+    for (const series of family.series) {
+      if (family.type !== "histogram") {
+        lines.push(`${family.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+
+      for (const bucket of series.buckets) {
+        lines.push(
+          `${family.name}_bucket${formatLabels(series.labels, { le: bucket.le })} ${bucket.count}`
+        );
+      }
+      lines.push(
+        `${family.name}_bucket${formatLabels(series.labels, { le: "+Inf" })} ${series.count}`
+      );
+      lines.push(`${family.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,65 @@
+// src/middleware.js
+// Onion-style middleware chains around RPC requests (Bare-compatible)
+
+import { AroniaError } from './types.js';
+
+const DIRECTIONS = ["inbound", "outbound"];
+
+// Middleware are async (ctx, next) functions. Code before `await next()`
+// sees the request on the way in, code after it sees ctx.result (or the
+// thrown error) on the way out. Not calling next() short-circuits the rest
+// of the chain, including the handler.
+export class MiddlewareChain {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Returns a function that removes the middleware again
+  add(fn, opts = {}) {
+    if (typeof fn !== "function") {
+      throw new AroniaError("Middleware must be a function");
+    }
+
+    const direction = opts.direction ?? "inbound";
+    if (direction !== "both" && !DIRECTIONS.includes(direction)) {
+      throw new AroniaError(`Invalid middleware direction: ${direction}`);
+    }
+
+    const methods = opts.methods === undefined ? null : new Set([].concat(opts.methods));
+    const entry = {
+      fn,
+      methods,
+      directions: direction === "both" ? DIRECTIONS : [direction],
+    };
+
+    this.entries.push(entry);
+    return () => {
+      this.entries = this.entries.filter((other) => other !== entry);
+    };
+  }
+
+  // Runs every middleware that applies to ctx.direction and ctx.method in
+  // the order they were added, with core as the innermost step
+  run(ctx, core) {
+    const chain = this.entries.filter(
+      (entry) =>
+        entry.directions.includes(ctx.direction) &&
+        (entry.methods === null || entry.methods.has(ctx.method))
+    );
+
+    const dispatch = async (i) => {
+      if (i === chain.length) return core();
+
+      let called = false;
+      return chain[i].fn(ctx, () => {
+        if (called) {
+          throw new AroniaError("next() called multiple times");
+        }
+        called = true;
+        return dispatch(i + 1);
+      });
+    };
+
+    return dispatch(0);
+  }
+}
@@ -6,15 +6,46 @@ import Hyperswarm from 'hyperswarm';
 import crypto from 'hypercore-crypto';
 import Buffer from 'bare-buffer';
 import { PeerConnection } from './peer.js';
+import { isIterable } from './stream.js';
+import { openKeystore } from './keystore.js';
+import { TrustStore, TRUST_STATE_VERSION } from './storage.js';
+import { TrustGraph } from './graph.js';
+import { Reconnector } from './reconnect.js';
+import { Outbox } from './outbox.js';
+import { Subscriptions, isValidTopic, isValidPattern, topicMatches } from './pubsub.js';
+import { Metrics, toPrometheus } from './metrics.js';
+import { Tracer, isTraceContext, createJsonLinesExporter } from './tracing.js';
+import { MiddlewareChain } from './middleware.js';
+import { RateLimiter } from './ratelimit.js';
 import {
+  MessageType,
+  AroniaError,
   PeerOfflineError,
+  RequestTimeoutError,
+  RemoteError,
+  DeliveryError,
   AuthenticationError,
   IntroductionError,
   ProtocolError,
+  StorageError,
+  TopicError,
+  RPCError,
+  RPCErrorCode,
+  DEFAULT_MAX_FRAME_SIZE,
+  DEFAULT_ACK_TIMEOUT,
+  DEFAULT_RELIABLE_MAX_RETRIES,
+  DEFAULT_DEDUP_WINDOW,
+  DEFAULT_RELAY_MAX_HOPS,
+  DEFAULT_REPLAY_WINDOW,
 } from './types.js';
 import {
-  createIntroduction,
+  signIntroduction,
+  extendIntroduction,
   validateIntroduction,
+  signRevocation,
+  validateRevocation,
+  sealRelayed,
+  validateRelayed,
   detectCircularTrust,
 } from './protocol.js';
 
@@ -22,7 +53,9 @@ export class AroniaNode extends EventEmitter {
   constructor(opts) {
     super();
 
-    this.keyPair = opts.keyPair;
+    this.keyPair =
+      opts.keyPair ??
+      (opts.keystore ? openKeystore(opts.keystore.path, opts.keystore) : undefined);
     this.whitelist = opts.whitelist ?? new Set();
     this.peers = new Map();
     this.pendingIntroductions = new Map();
@@ -32,27 +65,144 @@ export class AroniaNode extends EventEmitter {
       requireApprovalFor: [],
     };
     this.introductionMaxAge = 24 * 60 * 60 * 1000;
+    this.introductionConnectTimeout = opts.introductionConnectTimeout ?? 60000;
+    this.introductionDials = new Map();
+    // Who vouched for each whitelisted key; manual approvals have no introducer
+    this.provenance = new Map();
+    this.roles = new Map(
+      Object.entries(opts.roles ?? {}).map(([pubkey, roles]) => [pubkey, new Set(roles)])
+    );
+    this.revocationPolicy = opts.revocationPolicy ?? "manual";
+
+    this.storage =
+      typeof opts.storage === "string" ? new TrustStore(opts.storage) : opts.storage;
+    // Stored state wins over opts.whitelist and opts.trustConfig, which only
+    // seed the store on first run
+    if (this.storage) {
+      const state = this.storage.load();
+      if (state) {
+        this.restoreTrustState(state);
+      } else {
+        this.persistTrustState();
+      }
+    }
+
+    // Opt-in store-and-forward for messages to offline whitelisted peers.
+    // true keeps the queue in memory, a path or { path } persists it.
+    if (opts.outbox) {
+      this.outbox = new Outbox(
+        typeof opts.outbox === "string"
+          ? { path: opts.outbox }
+          : opts.outbox === true
+            ? {}
+            : opts.outbox
+      );
+    }
+    this._flushing = new Set();
+
+    this.ackTimeout = opts.ackTimeout ?? DEFAULT_ACK_TIMEOUT;
+    this.reliableMaxRetries = opts.reliableMaxRetries ?? DEFAULT_RELIABLE_MAX_RETRIES;
+    this.dedupWindow = opts.dedupWindow ?? DEFAULT_DEDUP_WINDOW;
+    this.deliveries = new Map();
+    // "<pubkey>:<id>" of reliable events already handled, in arrival order
+    this.seenMessages = new Map();
+
+    this.subscriptions = new Subscriptions();
+
+    // Forwarding for others is opt-in; sending through relays is not
+    this.relay = opts.relay ?? false;
+    this.relayMaxHops = opts.relayMaxHops ?? DEFAULT_RELAY_MAX_HOPS;
+    this.relayRequests = new Map();
+    this.relayRequestCounter = 0;
+    // Origin signatures of relayed frames already handled, in arrival order
+    this.relaySeen = new Map();
+
+    // Opt-in per-peer flood protection; true uses the default limits
+    this.rateLimiter = opts.rateLimit
+      ? new RateLimiter(opts.rateLimit === true ? {} : opts.rateLimit)
+      : null;
 
     this.methods = new Map();
+    this.methodAccess = new Map();
+    this.middleware = new MiddlewareChain();
     this._stopping = false;
 
+    this.metrics = new Metrics();
+    this.defineMetrics();
+
+    // With tracing on, our own requests start traces and incoming requests
+    // continue the caller's. Without it, nothing is recorded and trace context,
+    // ours or from peers, is ignored.
+    // A path (or { path }) appends finished spans to a JSON-lines file.
+    this.tracing = Boolean(opts.tracing);
+    this.tracer = new Tracer({
+      node: this.keyPair.publicKey.toString("hex"),
+      exporters: opts.tracing?.exporters,
+      onError: (err) => this.emit("error", err),
+    });
+    const tracePath = typeof opts.tracing === "string" ? opts.tracing : opts.tracing?.path;
+    this.traceFile = tracePath
+      ? createJsonLinesExporter(tracePath, { onError: (err) => this.emit("error", err) })
+      : null;
+    if (this.traceFile) {
+      this.tracer.addExporter(this.traceFile);
+    }
+
     this.heartbeatInterval = opts.heartbeatInterval ?? 30000;
     this.heartbeatTimeout = opts.heartbeatTimeout ?? 90000;
     this.reconnectMaxAttempts = opts.reconnectMaxAttempts ?? 10;
     this.reconnectBaseDelay = opts.reconnectBaseDelay ?? 1000;
+    this.reconnectMaxDelay = opts.reconnectMaxDelay ?? 60000;
+    this.maxFrameSize = opts.maxFrameSize ?? DEFAULT_MAX_FRAME_SIZE;
+    this.encodings = opts.encodings;
+    this.compression = opts.compression;
+    this.compressionThreshold = opts.compressionThreshold;
+    this.replayWindow = opts.replayWindow;
+    this.protocolVersions = opts.protocolVersions;
 
     this.swarm = new Hyperswarm({
       keyPair: this.keyPair,
+      bootstrap: opts.bootstrap,
+    });
+
+    this.reconnector = new Reconnector({
+      maxAttempts: this.reconnectMaxAttempts,
+      baseDelay: this.reconnectBaseDelay,
+      maxDelay: this.reconnectMaxDelay,
+      dial: (pubkey) => this.swarm.joinPeer(Buffer.from(pubkey, "hex")),
+      abort: (pubkey) => {
+        if (!this.introductionDials.has(pubkey)) {
+          this.swarm.leavePeer(Buffer.from(pubkey, "hex"));
+        }
+      },
+      onAttempt: (pubkey, attempt, maxAttempts) => {
+        this.emit("peer:reconnecting", pubkey, attempt, maxAttempts);
+      },
+      onGiveUp: (pubkey, attempts) => {
+        const peer = this.peers.get(pubkey);
+        if (peer && !peer.online) {
+          this.forgetPeer(pubkey);
+        }
+        this.emit("peer:gave-up", pubkey, attempts);
+      },
     });
 
     this.swarm.on("connection", this.handleConnection.bind(this));
     this.swarm.on("error", (err) => this.emit("error", err));
 
-    this._topic = crypto.hash(Buffer.from(opts.topic));
-    this._discovery = this.swarm.join(this._topic, { server: true, client: true });
+    // Swarm topics by name. The constructor topic uses the node whitelist
+    // only; topics joined later can admit more peers of their own.
+    this.topics = new Map();
+    if (opts.topic) {
+      this.joinTopic(opts.topic);
+    }
 
     this.cleanupInterval = setInterval(() => {
       this.cleanupPendingIntroductions();
+      this.expireOutbox();
+      this.pruneSeenMessages();
+      this.pruneRelaySeen();
+      this.rateLimiter?.prune();
     }, 60000);
 
     this.registerBuiltInMethods();
@@ -73,26 +223,61 @@ export class AroniaNode extends EventEmitter {
 
       const remotePubkeyHex = remotePubkey.toString("hex");
 
-      if (!this.whitelist.has(remotePubkeyHex)) {
+      // Outgoing connections know the topics they were found through.
+      // Incoming ones do not until capabilities arrive, so any joined topic
+      // may admit them for now.
+      const discoveredVia = this.getTopicNames(
+        (info?.topics ?? []).map((topic) => topic.toString("hex"))
+      );
+      const candidates =
+        discoveredVia.length > 0 ? discoveredVia : Array.from(this.topics.keys());
+
+      if (!this.isAdmitted(remotePubkeyHex, candidates)) {
         stream.destroy();
+        this.metrics.inc("aronia_peers_rejected_total");
         this.emit("peer:rejected", remotePubkeyHex, "Not in whitelist");
         return;
       }
 
-      if (this.peers.has(remotePubkeyHex)) {
-        const oldPeer = this.peers.get(remotePubkeyHex);
-        oldPeer.destroy();
+      const blocked = this.rateLimiter?.isBlocked(remotePubkeyHex);
+      if (blocked) {
+        stream.destroy();
+        this.metrics.inc("aronia_peers_rejected_total");
+        this.emit("peer:rejected", remotePubkeyHex, blocked.banned ? "Banned" : "Suspended");
+        return;
       }
 
+      const previous = this.peers.get(remotePubkeyHex);
+
       const peer = new PeerConnection({
         stream,
         pubkey: remotePubkeyHex,
         ourKeyPair: this.keyPair,
         heartbeatInterval: this.heartbeatInterval,
         heartbeatTimeout: this.heartbeatTimeout,
+        maxFrameSize: this.maxFrameSize,
+        encodings: this.encodings,
+        compression: this.compression,
+        compressionThreshold: this.compressionThreshold,
+        replayWindow: this.replayWindow,
+        protocolVersions: this.protocolVersions,
+        metrics: this.metrics,
+        rateLimiter: this.rateLimiter,
+        topicKeys: Array.from(this.topics.values(), (topic) => topic.key),
       });
+      peer.topics = discoveredVia;
 
       peer.on("capabilities", (caps) => {
+        const shared = this.getTopicNames(Array.isArray(caps.topics) ? caps.topics : []);
+        peer.topics = Array.from(new Set([...discoveredVia, ...shared]));
+
+        if (!this.isAdmitted(remotePubkeyHex, peer.topics)) {
+          this.metrics.inc("aronia_peers_rejected_total");
+          this.emit("peer:rejected", remotePubkeyHex, "No shared topic admits this peer");
+          peer.destroy();
+          return;
+        }
+
         this.emit("peer:connected", {
           pubkey: remotePubkeyHex,
           capabilities: caps,
@@ -100,26 +285,115 @@ export class AroniaNode extends EventEmitter {
           lastSeen: peer.lastSeen,
           online: true,
         });
+
+        // Encodings are negotiated now, so queued messages can go out
+        this.flushOutbox(remotePubkeyHex);
+        this.retransmitDeliveries(remotePubkeyHex);
+
+        const patterns = this.subscriptions.patterns();
+        if (patterns.length > 0) {
+          peer.sendSubscriptions(patterns).catch(() => {});
+        }
       });
 
       peer.on("disconnect", () => {
-        this.peers.delete(remotePubkeyHex);
+        // A replaced connection must not evict its successor
+        if (this.peers.get(remotePubkeyHex) !== peer) return;
+
+        // Whitelisted peers stay listed as offline while we redial them
+        if (
+          this._stopping ||
+          peer.incompatible ||
+          this.rateLimiter?.isBlocked(remotePubkeyHex) ||
+          this.reconnectMaxAttempts <= 0 ||
+          !this.whitelist.has(remotePubkeyHex)
+        ) {
+          this.forgetPeer(remotePubkeyHex);
+        } else {
+          this.reconnector.start(remotePubkeyHex);
+        }
+
         this.emit("peer:disconnected", remotePubkeyHex);
       });
 
+      peer.on("message", (msg) => {
+        this.handleMessage(msg, peer);
+      });
+
+      peer.on("ack", (id) => {
+        this.handleAck(id, remotePubkeyHex);
+      });
+
+      peer.on("subscriptions", (patterns) => {
+        this.handleSubscriptions(patterns, peer);
+      });
+
+      peer.on("publish", (msg) => {
+        this.handlePublish(msg, peer);
+      });
+
+      peer.on("relay", (envelope) => {
+        this.handleRelay(envelope, peer);
+      });
+
       peer.on("request", (request, respond) => {
         this.handleRPCRequest(request, peer, respond);
       });
 
+      peer.on("stream", (request, sink) => {
+        this.handleStreamRequest(request, peer, sink);
+      });
+
       peer.on("introduction", (intro) => {
         this.handleIntroduction(intro, remotePubkeyHex);
       });
 
+      peer.on("revocation", (notice) => {
+        this.handleRevocation(notice, remotePubkeyHex);
+      });
+
+      peer.on("incompatible", (reason) => {
+        this.metrics.inc("aronia_peers_rejected_total");
+        this.emit("peer:rejected", remotePubkeyHex, reason);
+      });
+
+      peer.on("replay", (err) => {
+        this.metrics.inc("aronia_replays_total");
+        this.emit("peer:replay", remotePubkeyHex, err);
+      });
+
+      peer.on("rate-limited", (reason) => {
+        this.handleRateLimit(remotePubkeyHex, reason);
+      });
+
+      peer.on("throttle", (info) => {
+        this.emit("peer:backoff", remotePubkeyHex, info);
+      });
+
+      peer.on("quality", (quality) => {
+        this.emit("peer:quality", remotePubkeyHex, quality);
+      });
+
+      peer.on("timeout", () => {
+        this.metrics.inc("aronia_timeouts_total", { kind: "heartbeat" });
+      });
+
       peer.on("error", (err) => {
         this.emit("error", err);
       });
 
+      if (previous) {
+        peer.connectedAt = previous.connectedAt;
+        peer.capabilities = previous.capabilities;
+        peer.reconnects = previous.reconnects + (previous.online ? 0 : 1);
+      }
+
       this.peers.set(remotePubkeyHex, peer);
+      if (previous) {
+        previous.destroy();
+      }
+      this.completeIntroductionDial(remotePubkeyHex);
+      const attempts = this.reconnector.connected(remotePubkeyHex);
 
       this.emit("peer:connected", {
         pubkey: remotePubkeyHex,
@@ -132,6 +406,11 @@ export class AroniaNode extends EventEmitter {
         lastSeen: peer.lastSeen,
         online: true,
       });
+
+      if (attempts !== undefined) {
+        this.metrics.inc("aronia_reconnects_total");
+        this.emit("peer:reconnected", this.getPeerInfo(remotePubkeyHex), attempts);
+      }
     } catch (err) {
       this.emit("error", err instanceof Error ? err : new Error(String(err)));
       rawSocket.destroy();
@@ -145,54 +424,524 @@ export class AroniaNode extends EventEmitter {
   }
 
   async handleRPCRequest(request, peer, respond) {
-    const handler = this.methods.get(request.method);
+    if (this.rateLimiter) {
+      if (!this.rateLimiter.acquire(peer.pubkey)) {
+        this.handleRateLimit(peer.pubkey, "requests");
+        respond({
+          id: request.id,
+          error: {
+            code: RPCErrorCode.RATE_LIMITED,
+            message: "Too many concurrent requests",
+          },
+        });
+        return;
+      }
 
-    if (!handler) {
-      respond({
-        id: request.id,
-        error: {
-          code: -32601,
-          message: `Method not found: ${request.method}`,
-        },
-      });
-      return;
+      const reply = respond;
+      respond = (response) => {
+        this.rateLimiter.release(peer.pubkey);
+        reply(response);
+      };
+    }
+
+    const span = this.startServerSpan(request, peer);
+
+    if (span) {
+      const reply = respond;
+      respond = (response) => {
+        span.end(response.error);
+        reply(response);
+      };
     }
 
+    const ctx = {
+      direction: "inbound",
+      method: request.method,
+      params: request.params,
+      peer,
+      trace: span?.context(),
+      result: undefined,
+    };
+
     try {
-      const result = await handler(request.params, peer);
+      await this.middleware.run(ctx, async () => {
+        const handler = this.methods.get(request.method);
+
+        if (!handler) {
+          throw new RPCError(
+            RPCErrorCode.METHOD_NOT_FOUND,
+            `Method not found: ${request.method}`
+          );
+        }
+
+        if (!(await this.canCall(peer.pubkey, { ...request, params: ctx.params }))) {
+          throw new RPCError(RPCErrorCode.FORBIDDEN, `Forbidden: ${request.method}`);
+        }
+
+        ctx.result = await handler(ctx.params, peer, this.createHandlerContext(span));
+      });
+
       respond({
         id: request.id,
-        result,
+        result: ctx.result,
       });
     } catch (err) {
       respond({
         id: request.id,
         error: {
-          code: -32603,
+          code: err instanceof RPCError ? err.code : RPCErrorCode.INTERNAL_ERROR,
           message: err instanceof Error ? err.message : String(err),
         },
       });
     }
   }
 
-  registerMethod(name, handler) {
+  async handleStreamRequest(request, peer, sink) {
+    if (!this.rateLimiter) {
+      await this.runStreamRequest(request, peer, sink);
+      return;
+    }
+
+    if (!this.rateLimiter.acquire(peer.pubkey)) {
+      this.handleRateLimit(peer.pubkey, "requests");
+      await sink.error({
+        code: RPCErrorCode.RATE_LIMITED,
+        message: "Too many concurrent requests",
+      });
+      return;
+    }
+
+    try {
+      await this.runStreamRequest(request, peer, sink);
+    } finally {
+      this.rateLimiter.release(peer.pubkey);
+    }
+  }
+
+  // Only with tracing on; the span continues the caller's trace if it sent one
+  startServerSpan(request, peer) {
+    if (!this.tracing) return null;
+
+    return this.tracer.startSpan(request.method, {
+      parent: isTraceContext(request.trace) ? request.trace : undefined,
+      kind: "server",
+      attributes: { peer: peer.pubkey, method: request.method },
+    });
+  }
+
+  // Middleware sees the iterable the handler returned as ctx.result, and may
+  // wrap or replace it before it is drained into the stream
+  async runStreamRequest(request, peer, sink) {
+    const span = this.startServerSpan(request, peer);
+
+    const ctx = {
+      direction: "inbound",
+      method: request.method,
+      params: request.params,
+      peer,
+      trace: span?.context(),
+      stream: true,
+      result: undefined,
+    };
+
+    try {
+      await this.middleware.run(ctx, async () => {
+        const handler = this.methods.get(request.method);
+
+        if (!handler) {
+          throw new RPCError(
+            RPCErrorCode.METHOD_NOT_FOUND,
+            `Method not found: ${request.method}`
+          );
+        }
+
+        if (!(await this.canCall(peer.pubkey, { ...request, params: ctx.params }))) {
+          throw new RPCError(RPCErrorCode.FORBIDDEN, `Forbidden: ${request.method}`);
+        }
+
+        ctx.result = await handler(ctx.params, peer, this.createHandlerContext(span));
+      });
+
+      if (isIterable(ctx.result)) {
+        for await (const chunk of ctx.result) {
+          if (!(await sink.write(chunk))) break;
+        }
+      } else if (ctx.result !== undefined) {
+        await sink.write(ctx.result);
+      }
+
+      span?.end();
+      await sink.end();
+    } catch (err) {
+      const error = {
+        code: err instanceof RPCError ? err.code : RPCErrorCode.INTERNAL_ERROR,
+        message: err instanceof Error ? err.message : String(err),
+      };
+      span?.end(error);
+      await sink.error(error);
+    }
+  }
+
+  // Every breach is counted; strikes escalate from a throttle notice to a
+  // temporary disconnect to a ban
+  handleRateLimit(pubkey, reason) {
+    this.metrics.inc("aronia_rate_limited_total", { reason });
+
+    const strike = this.rateLimiter.strike(pubkey);
+    if (!strike) return;
+
+    const peer = this.peers.get(pubkey);
+    const info = { reason, strikes: strike.strikes, until: strike.until };
+
+    if (strike.action === "throttle") {
+      peer?.sendThrottle(reason, this.rateLimiter.opts.strikeInterval).catch(() => {});
+      this.emit("peer:throttled", pubkey, info);
+      return;
+    }
+
+    this.emit(strike.action === "ban" ? "peer:banned" : "peer:suspended", pubkey, info);
+    peer?.destroy();
+  }
+
+  getBlockedPeers() {
+    return this.rateLimiter?.getBlocked() ?? [];
+  }
+
+  // Lifts a suspension or ban and forgets the peer's strikes
+  unbanPeer(pubkey) {
+    return this.rateLimiter?.unban(pubkey) ?? false;
+  }
+
+  // access restricts who may call the method: any listed pubkey, any peer
+  // holding one of the listed roles, or any request the allow predicate
+  // accepts. Without it, every whitelisted peer may call the method.
+  registerMethod(name, handler, access) {
     this.methods.set(name, handler);
+
+    if (access) {
+      this.methodAccess.set(name, {
+        pubkeys: new Set(access.pubkeys ?? []),
+        roles: new Set(access.roles ?? []),
+        allow: access.allow,
+      });
+    } else {
+      this.methodAccess.delete(name);
+    }
+  }
+
+  // Wraps incoming RPC requests (and, with direction "outbound" or "both",
+  // our own calls) in middleware. opts.methods limits it to those methods.
+  // Returns a function that removes the middleware again.
+  use(middleware, opts) {
+    return this.middleware.add(middleware, opts);
+  }
+
+  async canCall(pubkey, request) {
+    const access = this.methodAccess.get(request.method);
+    if (!access) return true;
+
+    if (access.pubkeys.has(pubkey)) return true;
+
+    const roles = this.getRoles(pubkey);
+    if (roles.some((role) => access.roles.has(role))) return true;
+
+    if (!access.allow) return false;
+
+    try {
+      return Boolean(await access.allow(pubkey, request, roles));
+    } catch {
+      return false;
+    }
+  }
+
+  assignRole(pubkey, role) {
+    let roles = this.roles.get(pubkey);
+    if (!roles) {
+      roles = new Set();
+      this.roles.set(pubkey, roles);
+    }
+    roles.add(role);
+    this.persistTrustState();
+  }
+
+  removeRole(pubkey, role) {
+    const roles = this.roles.get(pubkey);
+    if (!roles) return;
+
+    roles.delete(role);
+    if (roles.size === 0) {
+      this.roles.delete(pubkey);
+    }
+    this.persistTrustState();
+  }
+
+  getRoles(pubkey) {
+    return Array.from(this.roles.get(pubkey) ?? []);
   }
 
-  async send(pubkey, message) {
+  // With an outbox, messages to an offline whitelisted peer are queued and
+  // { queued: true, id } is returned. Messages also queue behind earlier
+  // ones that have not been delivered yet, so that order is kept.
+  async send(pubkey, message, opts = {}) {
     const peer = this.peers.get(pubkey);
-    if (!peer || !peer.online) {
+    const online = peer !== undefined && peer.online;
+
+    if (
+      this.outbox &&
+      this.whitelist.has(pubkey) &&
+      (!online || this.outbox.has(pubkey))
+    ) {
+      const item = this.outbox.enqueue(pubkey, message, opts.ttl);
+      if (online) {
+        this.flushOutbox(pubkey);
+      }
+      return { queued: true, id: item.id };
+    }
+
+    if (!online) {
       throw new PeerOfflineError(pubkey);
     }
     return peer.send(message);
   }
 
-  async request(pubkey, method, params, timeout) {
+  // Resolves with { id, attempts } once the peer acknowledges the event.
+  // Until then it is resent every ackTimeout and whenever the peer
+  // reconnects; the receiver drops duplicates by ID.
+  sendReliable(pubkey, message, opts = {}) {
+    if (message.type !== MessageType.EVENT) {
+      return Promise.reject(
+        new ProtocolError("Only EVENT messages can be sent reliably")
+      );
+    }
+
+    if (!this.isPeerOnline(pubkey) && !this.whitelist.has(pubkey)) {
+      return Promise.reject(new PeerOfflineError(pubkey));
+    }
+
+    return new Promise((resolve, reject) => {
+      const delivery = {
+        id: crypto.randomBytes(16).toString("hex"),
+        pubkey,
+        message,
+        attempts: 0,
+        maxRetries: opts.maxRetries ?? this.reliableMaxRetries,
+        ackTimeout: opts.ackTimeout ?? this.ackTimeout,
+        timer: null,
+        resolve,
+        reject,
+      };
+
+      this.deliveries.set(delivery.id, delivery);
+      this.transmit(delivery);
+    });
+  }
+
+  transmit(delivery) {
+    clearTimeout(delivery.timer);
+
+    if (delivery.attempts > delivery.maxRetries) {
+      this.deliveries.delete(delivery.id);
+      delivery.reject(new DeliveryError(delivery.id, delivery.attempts));
+      return;
+    }
+
+    delivery.attempts++;
+
+    // While the peer is offline the attempt only runs down the clock
+    const peer = this.peers.get(delivery.pubkey);
+    if (peer && peer.online) {
+      peer.sendReliable(delivery.id, delivery.message).catch(() => {});
+    }
+
+    delivery.timer = setTimeout(() => {
+      this.metrics.inc("aronia_timeouts_total", { kind: "ack" });
+      this.transmit(delivery);
+    }, delivery.ackTimeout);
+  }
+
+  retransmitDeliveries(pubkey) {
+    for (const delivery of this.deliveries.values()) {
+      if (delivery.pubkey === pubkey) {
+        this.transmit(delivery);
+      }
+    }
+  }
+
+  handleAck(id, pubkey) {
+    const delivery = this.deliveries.get(id);
+    if (!delivery || delivery.pubkey !== pubkey) return;
+
+    clearTimeout(delivery.timer);
+    this.deliveries.delete(id);
+    delivery.resolve({ id, attempts: delivery.attempts });
+  }
+
+  handleMessage(msg, peer) {
+    const trace = this.tracing && isTraceContext(msg.trace) ? msg.trace : undefined;
+
+    if (msg.id === undefined) {
+      this.emit("message", msg.payload, peer.pubkey, trace ? { trace } : undefined);
+      return;
+    }
+
+    const key = `${peer.pubkey}:${msg.id}`;
+    if (!this.seenMessages.has(key)) {
+      this.seenMessages.set(key, Date.now());
+      this.emit("message", msg.payload, peer.pubkey, trace ? { id: msg.id, trace } : { id: msg.id });
+    }
+
+    // Acknowledge duplicates too: the earlier ACK may have been lost
+    peer.sendControl({ type: "ack", id: msg.id }).catch(() => {});
+  }
+
+  pruneSeenMessages() {
+    const cutoff = Date.now() - this.dedupWindow;
+
+    for (const [key, seenAt] of this.seenMessages) {
+      if (seenAt > cutoff) break;
+      this.seenMessages.delete(key);
+    }
+  }
+
+  async flushOutbox(pubkey) {
+    if (!this.outbox || this._flushing.has(pubkey)) return;
+
+    // Removals are written once the flush stops rather than per item. A
+    // crash in between redelivers what was sent since the last save.
+    let removed = 0;
+    this._flushing.add(pubkey);
+    try {
+      let item;
+      while ((item = this.outbox.peek(pubkey))) {
+        if (item.expiresAt <= Date.now()) {
+          this.outbox.remove(item, { save: false });
+          removed++;
+          this.emit("outbox:expired", item);
+          continue;
+        }
+
+        const peer = this.peers.get(pubkey);
+        if (!peer || !peer.online) return;
+
+        try {
+          await peer.send(item.message);
+        } catch {
+          // Stays queued for the next connection
+          return;
+        }
+
+        this.outbox.remove(item, { save: false });
+        removed++;
+        this.emit("outbox:delivered", item);
+      }
+    } finally {
+      this._flushing.delete(pubkey);
+      if (removed > 0) {
+        this.outbox.save();
+      }
+    }
+  }
+
+  expireOutbox() {
+    if (!this.outbox) return;
+
+    for (const item of this.outbox.expire()) {
+      this.emit("outbox:expired", item);
+    }
+  }
+
+  getOutbox(pubkey) {
+    return this.outbox ? this.outbox.list(pubkey) : [];
+  }
+
+  // Drops queued messages for pubkey, or all of them. Returns how many.
+  purgeOutbox(pubkey) {
+    return this.outbox ? this.outbox.purge(pubkey).length : 0;
+  }
+
+  // opts.trace continues an existing trace, as handler contexts do. It is
+  // ignored with tracing off.
+  async request(pubkey, method, params, timeout, opts = {}) {
+    const peer = this.peers.get(pubkey);
+    if (!peer || !peer.online) {
+      throw new PeerOfflineError(pubkey);
+    }
+
+    const span = this.tracing
+      ? this.tracer.startSpan(method, {
+          parent: opts.trace,
+          kind: "client",
+          attributes: { peer: pubkey, method },
+        })
+      : null;
+
+    const started = Date.now();
+    try {
+      const ctx = {
+        direction: "outbound",
+        method,
+        params,
+        peer,
+        trace: span?.context(),
+        result: undefined,
+      };
+      await this.middleware.run(ctx, async () => {
+        ctx.result = await peer.request(method, ctx.params, timeout, ctx.trace);
+      });
+      this.recordRequest(method, "ok", started);
+      span?.end();
+      return ctx.result;
+    } catch (err) {
+      this.recordRequest(
+        method,
+        err instanceof RequestTimeoutError ? "timeout" : "error",
+        started
+      );
+      span?.end(err);
+      throw err;
+    }
+  }
+
+  // Bare has no async context tracking, so handlers continue the trace
+  // through this object rather than through node.request directly
+  createHandlerContext(span) {
+    const trace = span?.context();
+
+    return {
+      trace,
+      request: (pubkey, method, params, timeout) =>
+        this.request(pubkey, method, params, timeout, { trace }),
+      openStream: (pubkey, method, params, opts) =>
+        this.openStream(pubkey, method, params, { ...opts, trace }),
+      send: (pubkey, message, opts) =>
+        this.send(pubkey, trace ? { ...message, trace } : message, opts),
+    };
+  }
+
+  addSpanExporter(exporter) {
+    return this.tracer.addExporter(exporter);
+  }
+
+  recordRequest(method, status, started) {
+    this.metrics.inc("aronia_requests_total", { method, status });
+
+    if (status === "timeout") {
+      this.metrics.inc("aronia_timeouts_total", { kind: "request" });
+    } else {
+      this.metrics.observe(
+        "aronia_request_duration_seconds",
+        { method },
+        (Date.now() - started) / 1000
+      );
+    }
+  }
+
+  openStream(pubkey, method, params, opts = {}) {
     const peer = this.peers.get(pubkey);
     if (!peer || !peer.online) {
       throw new PeerOfflineError(pubkey);
     }
-    return peer.request(method, params, timeout);
+    return peer.openStream(method, params, this.tracing ? opts : { ...opts, trace: undefined });
   }
 
   broadcast(message) {
@@ -213,6 +962,408 @@ export class AroniaNode extends EventEmitter {
     return { sent, offline };
   }
 
+  // Handlers are called with (data, { topic, pubkey }) for publishes whose
+  // topic matches pattern. Returns a function that removes the handler.
+  subscribe(pattern, handler) {
+    if (this.subscriptions.add(pattern, handler)) {
+      this.announceSubscriptions();
+    }
+    return () => this.unsubscribe(pattern, handler);
+  }
+
+  unsubscribe(pattern, handler) {
+    if (this.subscriptions.remove(pattern, handler)) {
+      this.announceSubscriptions();
+    }
+  }
+
+  announceSubscriptions() {
+    const patterns = this.subscriptions.patterns();
+
+    for (const peer of this.peers.values()) {
+      if (peer.online) {
+        peer.sendSubscriptions(patterns).catch(() => {});
+      }
+    }
+  }
+
+  // Sends to online peers with a matching subscription, one copy per peer
+  async publish(topic, data) {
+    if (!isValidTopic(topic)) {
+      throw new TopicError(topic);
+    }
+
+    const targets = Array.from(this.peers.values()).filter(
+      (peer) =>
+        peer.online &&
+        Array.from(peer.subscriptions).some((pattern) => topicMatches(pattern, topic))
+    );
+
+    const results = await Promise.allSettled(
+      targets.map((peer) => peer.publish(topic, data))
+    );
+    const sent = results.filter((result) => result.status === "fulfilled").length;
+
+    return { sent, failed: results.length - sent };
+  }
+
+  handleSubscriptions(patterns, peer) {
+    if (!Array.isArray(patterns)) return;
+
+    // Their full list replaces what we had; unusable patterns are skipped
+    peer.subscriptions = new Set(patterns.filter(isValidPattern));
+    this.emit("peer:subscriptions", peer.pubkey, Array.from(peer.subscriptions));
+  }
+
+  handlePublish(msg, peer) {
+    if (!msg || !isValidTopic(msg.topic)) return;
+
+    // They may still be working from a list we have since changed
+    for (const handler of this.subscriptions.match(msg.topic)) {
+      try {
+        Promise.resolve(
+          handler(msg.data, { topic: msg.topic, pubkey: peer.pubkey })
+        ).catch((err) => this.emit("error", err));
+      } catch (err) {
+        this.emit("error", err);
+      }
+    }
+  }
+
+  // opts.whitelist (a Set, kept by reference) and opts.allow(pubkey) admit
+  // peers on this topic in addition to the node whitelist. opts.server and
+  // opts.client choose whether we announce, look up, or both.
+  joinTopic(name, opts = {}) {
+    if (this.topics.has(name)) {
+      throw new AroniaError(`Already joined topic: ${name}`);
+    }
+
+    const key = crypto.hash(Buffer.from(name));
+    const server = opts.server ?? true;
+    const client = opts.client ?? true;
+
+    const topic = {
+      name,
+      key: key.toString("hex"),
+      server,
+      client,
+      whitelist:
+        opts.whitelist instanceof Set
+          ? opts.whitelist
+          : opts.whitelist
+            ? new Set(opts.whitelist)
+            : null,
+      allow: opts.allow ?? null,
+      discovery: this.swarm.join(key, { server, client }),
+    };
+
+    this.topics.set(name, topic);
+    this.emit("topic:joined", name);
+    return this.getTopicInfo(name);
+  }
+
+  // Peers that only this topic admitted are disconnected
+  async leaveTopic(name) {
+    const topic = this.topics.get(name);
+    if (!topic) return false;
+
+    this.topics.delete(name);
+    await topic.discovery.destroy();
+
+    for (const peer of Array.from(this.peers.values())) {
+      if (!peer.topics.includes(name)) continue;
+
+      peer.topics = peer.topics.filter((other) => other !== name);
+      if (!this.isAdmitted(peer.pubkey, peer.topics)) {
+        peer.destroy();
+      }
+    }
+
+    this.emit("topic:left", name);
+    return true;
+  }
+
+  getTopicInfo(name) {
+    const topic = this.topics.get(name);
+    if (!topic) return undefined;
+
+    return {
+      name,
+      key: topic.key,
+      server: topic.server,
+      client: topic.client,
+      peers: Array.from(this.peers.values())
+        .filter((peer) => peer.topics.includes(name))
+        .map((peer) => peer.pubkey),
+    };
+  }
+
+  getTopics() {
+    return Array.from(this.topics.keys(), (name) => this.getTopicInfo(name));
+  }
+
+  getTopicNames(keys) {
+    return Array.from(this.topics.values())
+      .filter((topic) => keys.includes(topic.key))
+      .map((topic) => topic.name);
+  }
+
+  isAdmitted(pubkey, topicNames) {
+    if (this.whitelist.has(pubkey)) return true;
+
+    return topicNames.some((name) => {
+      const topic = this.topics.get(name);
+      if (!topic) return false;
+
+      if (topic.whitelist?.has(pubkey)) return true;
+      try {
+        return Boolean(topic.allow?.(pubkey));
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  // Sends an EVENT to pubkey through whichever peers can reach it. The
+  // destination must be directly connected to a peer with relaying enabled,
+  // or reachable within relayMaxHops such peers.
+  sendRelayed(pubkey, message) {
+    if (message.type !== MessageType.EVENT) {
+      throw new ProtocolError("Only EVENT messages can be relayed with sendRelayed");
+    }
+
+    const result = this.routeRelayed(pubkey, message);
+    if (result.sent === 0) {
+      throw new PeerOfflineError(pubkey);
+    }
+    return result;
+  }
+
+  requestRelayed(pubkey, method, params, timeout = 30000) {
+    const id = `relay-${Date.now()}-${++this.relayRequestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.relayRequests.delete(id);
+        reject(new RequestTimeoutError(id, timeout));
+      }, timeout);
+
+      this.relayRequests.set(id, { pubkey, resolve, reject, timer });
+
+      const { sent } = this.routeRelayed(pubkey, {
+        type: MessageType.REQUEST,
+        payload: { id, method, params, timeout },
+      });
+
+      if (sent === 0) {
+        clearTimeout(timer);
+        this.relayRequests.delete(id);
+        reject(new PeerOfflineError(pubkey));
+      }
+    });
+  }
+
+  routeRelayed(pubkey, message) {
+    const { id, frame } = sealRelayed(message, pubkey, this.keyPair);
+    // Copies flooded back to us are dropped as duplicates
+    this.relaySeen.set(id, Date.now());
+
+    return this.forwardRelay(
+      { destination: pubkey, hops: this.relayMaxHops, frame },
+      this.keyPair.publicKey.toString("hex")
+    );
+  }
+
+  // Goes straight to the destination when it is a direct peer, otherwise to
+  // every online peer except the ones it came from
+  forwardRelay(envelope, ...exclude) {
+    const direct = this.peers.get(envelope.destination);
+    const targets =
+      direct && direct.online
+        ? [direct]
+        : Array.from(this.peers.values()).filter(
+            (peer) => peer.online && !exclude.includes(peer.pubkey)
+          );
+
+    for (const peer of targets) {
+      peer.sendRelay(envelope).catch(() => {});
+    }
+
+    return { sent: targets.length };
+  }
+
+  handleRelay(envelope, peer) {
+    if (!envelope || typeof envelope.frame !== "string") return;
+
+    const result = validateRelayed(
+      envelope.frame,
+      this.replayWindow ?? DEFAULT_REPLAY_WINDOW
+    );
+    if (!result.valid) {
+      this.emit("relay:dropped", envelope.destination, result.error);
+      return;
+    }
+
+    const relayed = result.message;
+    if (this.relaySeen.has(relayed.id)) return;
+    this.relaySeen.set(relayed.id, Date.now());
+
+    if (relayed.destination === this.keyPair.publicKey.toString("hex")) {
+      this.deliverRelayed(relayed);
+      return;
+    }
+
+    if (!this.relay) {
+      this.emit("relay:dropped", relayed.destination, "Relaying is disabled");
+      return;
+    }
+
+    // Relays can only lower the hop count: a hop count they raise still
+    // cannot get the frame past the replay window or the duplicate cache
+    const hops = Number.isInteger(envelope.hops) ? envelope.hops : 0;
+    if (hops <= 0) {
+      this.emit("relay:dropped", relayed.destination, "Hop limit reached");
+      return;
+    }
+
+    const { sent } = this.forwardRelay(
+      { destination: relayed.destination, hops: hops - 1, frame: envelope.frame },
+      peer.pubkey,
+      relayed.origin
+    );
+    this.emit("relay:forwarded", relayed.origin, relayed.destination, sent);
+  }
+
+  deliverRelayed(relayed) {
+    // Relayed senders must be trusted exactly like direct connections
+    if (!this.whitelist.has(relayed.origin)) {
+      this.emit("relay:dropped", relayed.destination, "Origin is not whitelisted");
+      return;
+    }
+    if (this.rateLimiter?.isBlocked(relayed.origin)) {
+      this.emit("relay:dropped", relayed.destination, "Origin is suspended or banned");
+      return;
+    }
+
+    const origin = { pubkey: relayed.origin, relayed: true };
+
+    switch (relayed.type) {
+      case MessageType.EVENT:
+        this.emit("message", relayed.payload, relayed.origin, { relayed: true });
+        break;
+
+      case MessageType.REQUEST:
+        this.handleRPCRequest(relayed.payload, origin, (response) => {
+          this.routeRelayed(relayed.origin, {
+            type: MessageType.RESPONSE,
+            payload: response,
+          });
+        });
+        break;
+
+      case MessageType.RESPONSE: {
+        const response = relayed.payload;
+        const pending = this.relayRequests.get(response?.id);
+        if (!pending || pending.pubkey !== relayed.origin) return;
+
+        clearTimeout(pending.timer);
+        this.relayRequests.delete(response.id);
+        if (response.error) {
+          pending.reject(new RemoteError(response.error));
+        } else {
+          pending.resolve(response.result);
+        }
+        break;
+      }
+
+      default:
+        this.emit("relay:dropped", relayed.destination, `Unsupported type: ${relayed.type}`);
+    }
+  }
+
+  pruneRelaySeen() {
+    const cutoff = Date.now() - (this.replayWindow ?? DEFAULT_REPLAY_WINDOW);
+
+    for (const [id, seenAt] of this.relaySeen) {
+      if (seenAt > cutoff) break;
+      this.relaySeen.delete(id);
+    }
+  }
+
+  defineMetrics() {
+    const metrics = this.metrics;
+
+    metrics.define("aronia_frames_total", "counter", "Frames sent and received by type");
+    metrics.define("aronia_frame_bytes_total", "counter", "Frame bytes sent and received by type");
+    metrics.define("aronia_peer_frames_total", "counter", "Frames sent and received by peer");
+    metrics.define("aronia_peer_frame_bytes_total", "counter", "Frame bytes sent and received by peer");
+    metrics.define("aronia_signature_failures_total", "counter", "Frames dropped for a bad signature");
+    metrics.define("aronia_replays_total", "counter", "Frames dropped as replayed or stale");
+    metrics.define("aronia_peers_rejected_total", "counter", "Connections rejected");
+    metrics.define("aronia_rate_limited_total", "counter", "Frames and requests over a peer limit");
+    metrics.define("aronia_reconnects_total", "counter", "Dropped peers that came back");
+    metrics.define("aronia_timeouts_total", "counter", "Request, ACK and heartbeat timeouts");
+    metrics.define("aronia_requests_total", "counter", "Outgoing RPC requests by method and outcome");
+    metrics.define(
+      "aronia_request_duration_seconds",
+      "histogram",
+      "Outgoing RPC latency by method"
+    );
+    metrics.define("aronia_peers", "gauge", "Known peers by state");
+    metrics.define("aronia_outbox_queued", "gauge", "Messages waiting in the outbox");
+    metrics.define("aronia_write_queue_frames", "gauge", "Frames waiting on backpressure");
+    metrics.define("aronia_pending_requests", "gauge", "RPC requests awaiting a response");
+    metrics.define("aronia_pending_deliveries", "gauge", "Reliable events awaiting an ACK");
+    metrics.define("aronia_peer_rtt_seconds", "gauge", "Smoothed heartbeat round-trip time by peer");
+    metrics.define("aronia_peer_loss_ratio", "gauge", "Share of recent heartbeats not echoed by peer");
+  }
+
+  // Per-peer series go with the peer, so that churn does not grow them
+  forgetPeer(pubkey) {
+    this.peers.delete(pubkey);
+    this.metrics.remove("aronia_peer_frames_total", { peer: pubkey });
+    this.metrics.remove("aronia_peer_frame_bytes_total", { peer: pubkey });
+  }
+
+  // Gauges are sampled here; counters and histograms accumulate as we go
+  getMetrics() {
+    const peers = Array.from(this.peers.values());
+    const online = peers.filter((peer) => peer.online).length;
+    const sum = (count) => peers.reduce((total, peer) => total + count(peer), 0);
+
+    this.metrics.set("aronia_peers", { state: "online" }, online);
+    this.metrics.set("aronia_peers", { state: "offline" }, peers.length - online);
+    this.metrics.set("aronia_outbox_queued", {}, this.outbox?.list().length ?? 0);
+    this.metrics.set(
+      "aronia_write_queue_frames",
+      {},
+      sum((peer) => peer.writeQueue?.length ?? 0)
+    );
+    this.metrics.set(
+      "aronia_pending_requests",
+      {},
+      sum((peer) => peer.pendingRequests?.size ?? 0) + this.relayRequests.size
+    );
+    this.metrics.set("aronia_pending_deliveries", {}, this.deliveries.size);
+
+    // Only peers we have measured, so dropped peers do not linger
+    this.metrics.reset("aronia_peer_rtt_seconds");
+    this.metrics.reset("aronia_peer_loss_ratio");
+    for (const peer of peers) {
+      const quality = peer.quality?.toJSON();
+      if (!quality || quality.samples === 0) continue;
+
+      this.metrics.set("aronia_peer_rtt_seconds", { peer: peer.pubkey }, quality.srtt / 1000);
+      this.metrics.set("aronia_peer_loss_ratio", { peer: peer.pubkey }, quality.loss);
+    }
+
+    return this.metrics.toJSON();
+  }
+
+  getMetricsText() {
+    return toPrometheus(this.getMetrics());
+  }
+
   getOnlinePeers() {
     return Array.from(this.peers.keys()).filter((pubkey) =>
       this.peers.get(pubkey).online
@@ -229,6 +1380,10 @@ export class AroniaNode extends EventEmitter {
       connectedAt: peer.connectedAt,
       lastSeen: peer.lastSeen,
       online: peer.online,
+      reconnects: peer.reconnects,
+      subscriptions: Array.from(peer.subscriptions),
+      topics: peer.topics,
+      quality: peer.quality.toJSON(),
     };
   }
 
@@ -239,6 +1394,10 @@ export class AroniaNode extends EventEmitter {
       connectedAt: peer.connectedAt,
       lastSeen: peer.lastSeen,
       online: peer.online,
+      reconnects: peer.reconnects,
+      subscriptions: Array.from(peer.subscriptions),
+      topics: peer.topics,
+      quality: peer.quality.toJSON(),
     }));
   }
 
@@ -249,16 +1408,55 @@ export class AroniaNode extends EventEmitter {
 
   addToWhitelist(pubkey) {
     this.whitelist.add(pubkey);
+    this.provenance.set(pubkey, {
+      introducerPubkey: null,
+      trustPath: [],
+      addedAt: Date.now(),
+    });
+    this.persistTrustState();
   }
 
   removeFromWhitelist(pubkey) {
+    this.dropFromWhitelist(pubkey);
+    this.persistTrustState();
+  }
+
+  dropFromWhitelist(pubkey) {
     this.whitelist.delete(pubkey);
+    this.provenance.delete(pubkey);
+    this.cancelIntroductionDial(pubkey);
+    this.reconnector.cancel(pubkey);
+    this.swarm.leavePeer(Buffer.from(pubkey, "hex"));
+    this.purgeOutbox(pubkey);
     const peer = this.peers.get(pubkey);
     if (peer) {
       peer.destroy();
+      this.forgetPeer(pubkey);
     }
   }
 
+  getProvenance(pubkey) {
+    return this.provenance.get(pubkey);
+  }
+
+  getTrustGraph() {
+    return new TrustGraph({
+      self: this.keyPair.publicKey.toString("hex"),
+      whitelist: this.whitelist,
+      provenance: this.provenance,
+      autoAcceptFrom: this.trustConfig.autoAcceptFrom,
+      pendingIntroductions: this.pendingIntroductions.values(),
+    });
+  }
+
+  whyTrusted(pubkey) {
+    return this.getTrustGraph().whyTrusted(pubkey);
+  }
+
+  getIntroducedBy(pubkey) {
+    return this.getTrustGraph().getIntroducedBy(pubkey);
+  }
+
   isWhitelisted(pubkey) {
     return this.whitelist.has(pubkey);
   }
@@ -269,24 +1467,73 @@ export class AroniaNode extends EventEmitter {
       throw new PeerOfflineError(peerPubkey);
     }
 
-    const trustPath = [this.keyPair.publicKey.toString("hex")];
+    const ownPubkey = this.keyPair.publicKey.toString("hex");
+
+    await peer.sendIntroduction(
+      signIntroduction(
+        {
+          pubkey: targetPubkey,
+          alias,
+          capabilities,
+          message,
+          introducerPubkey: ownPubkey,
+          timestamp: Date.now(),
+          trustPath: [ownPubkey],
+        },
+        this.keyPair
+      )
+    );
 
-    const intro = {
-      pubkey: targetPubkey,
-      alias,
-      capabilities,
-      message,
-      introducerPubkey: this.keyPair.publicKey.toString("hex"),
-      timestamp: Date.now(),
-      trustPath,
-    };
+    // Tell the target about the peer as well, so that both sides can accept
+    // and dial each other
+    const target = this.peers.get(targetPubkey);
+    if (!target || !target.online) {
+      return { targetNotified: false };
+    }
+
+    await target.sendIntroduction(
+      signIntroduction(
+        {
+          pubkey: peerPubkey,
+          alias: peerPubkey.slice(0, 16),
+          capabilities: {
+            agent: peer.capabilities.agent,
+            version: peer.capabilities.version,
+            accepts: peer.capabilities.accepts,
+          },
+          message,
+          introducerPubkey: ownPubkey,
+          timestamp: Date.now(),
+          trustPath: [ownPubkey],
+        },
+        this.keyPair
+      )
+    );
 
-    const frame = createIntroduction(intro, this.keyPair);
-    await peer.send({ type: 0x07, payload: intro });
+    return { targetNotified: true };
+  }
+
+  // Passes on an introduction we received. The receiver verifies the whole
+  // chain and counts every hop against its maxTrustDepth.
+  async forwardIntroduction(intro, peerPubkey) {
+    const peer = this.peers.get(peerPubkey);
+    if (!peer || !peer.online) {
+      throw new PeerOfflineError(peerPubkey);
+    }
+
+    if (intro.pubkey === peerPubkey || intro.trustPath.includes(peerPubkey)) {
+      throw new IntroductionError(
+        `${peerPubkey} is already part of this introduction`
+      );
+    }
+
+    await peer.sendIntroduction(extendIntroduction(intro, this.keyPair));
   }
 
   handleIntroduction(intro, introducerPubkeyHex) {
     try {
+      // Verifies every link of the chain back to the origin. The last link
+      // must be the peer that sent it, which we only talk to if whitelisted.
       const introducerPubkey = Buffer.from(introducerPubkeyHex, "hex");
       const validation = validateIntroduction(
         intro,
@@ -313,6 +1560,11 @@ export class AroniaNode extends EventEmitter {
         return;
       }
 
+      if (intro.pubkey === ownPubkey) {
+        this.emit("introduction:rejected", intro.pubkey, "Introduction to ourselves");
+        return;
+      }
+
       if (intro.trustPath.length > this.trustConfig.maxTrustDepth) {
         this.emit(
           "introduction:rejected",
@@ -332,6 +1584,7 @@ export class AroniaNode extends EventEmitter {
         receivedAt: Date.now(),
       };
       this.pendingIntroductions.set(intro.pubkey, pendingIntro);
+      this.persistTrustState();
 
       if (this.shouldAutoAccept(intro)) {
         this.acceptIntroduction(intro.pubkey).catch((err) => {
@@ -372,8 +1625,61 @@ export class AroniaNode extends EventEmitter {
     }
 
     this.whitelist.add(pubkey);
-    this.emit("introduction:accepted", pubkey, pending.introducerPubkey);
+    this.provenance.set(pubkey, {
+      introducerPubkey: pending.introducerPubkey,
+      trustPath: pending.trustPath,
+      addedAt: Date.now(),
+    });
     this.pendingIntroductions.delete(pubkey);
+    this.persistTrustState();
+    this.emit("introduction:accepted", pubkey, pending.introducerPubkey);
+    this.dialIntroducedPeer(pubkey, pending.introducerPubkey);
+  }
+
+  // Both sides of an introduction dial each other once they accept it. The
+  // remote side rejects us until it has accepted as well, so Hyperswarm keeps
+  // retrying until we connect or the attempt times out.
+  dialIntroducedPeer(pubkey, introducerPubkey) {
+    if (this.isPeerOnline(pubkey)) {
+      this.emit("introduction:connected", pubkey, introducerPubkey);
+      return;
+    }
+
+    this.cancelIntroductionDial(pubkey);
+    this.swarm.joinPeer(Buffer.from(pubkey, "hex"));
+
+    const timer = setTimeout(() => {
+      this.introductionDials.delete(pubkey);
+      this.swarm.leavePeer(Buffer.from(pubkey, "hex"));
+      this.emit(
+        "introduction:failed",
+        pubkey,
+        `No connection within ${this.introductionConnectTimeout}ms`
+      );
+    }, this.introductionConnectTimeout);
+
+    this.introductionDials.set(pubkey, { introducerPubkey, timer });
+  }
+
+  completeIntroductionDial(pubkey) {
+    const dial = this.introductionDials.get(pubkey);
+    if (!dial) return;
+
+    // Hyperswarm keeps requeueing explicit peers, even connected ones. Drops
+    // from here on are redialled by the reconnector.
+    clearTimeout(dial.timer);
+    this.introductionDials.delete(pubkey);
+    this.swarm.leavePeer(Buffer.from(pubkey, "hex"));
+    this.emit("introduction:connected", pubkey, dial.introducerPubkey);
+  }
+
+  cancelIntroductionDial(pubkey) {
+    const dial = this.introductionDials.get(pubkey);
+    if (!dial) return;
+
+    clearTimeout(dial.timer);
+    this.introductionDials.delete(pubkey);
+    this.swarm.leavePeer(Buffer.from(pubkey, "hex"));
   }
 
   async rejectIntroduction(pubkey) {
@@ -382,8 +1688,9 @@ export class AroniaNode extends EventEmitter {
       throw new IntroductionError(`No pending introduction for ${pubkey}`);
     }
 
-    this.emit("introduction:rejected", pubkey, "Rejected by user");
     this.pendingIntroductions.delete(pubkey);
+    this.persistTrustState();
+    this.emit("introduction:rejected", pubkey, "Rejected by user");
   }
 
   getPendingIntroductions() {
@@ -393,12 +1700,18 @@ export class AroniaNode extends EventEmitter {
   cleanupPendingIntroductions() {
     const now = Date.now();
     const maxAge = this.introductionMaxAge;
+    let changed = false;
 
     for (const [pubkey, intro] of this.pendingIntroductions) {
       if (now - intro.receivedAt > maxAge) {
         this.pendingIntroductions.delete(pubkey);
+        changed = true;
       }
     }
+
+    if (changed) {
+      this.persistTrustState();
+    }
   }
 
   setTrust(pubkey, autoAccept) {
@@ -407,20 +1720,208 @@ export class AroniaNode extends EventEmitter {
     } else {
       this.trustConfig.autoAcceptFrom.delete(pubkey);
     }
+    this.persistTrustState();
   }
 
   getTrust(pubkey) {
     return this.trustConfig.autoAcceptFrom.has(pubkey);
   }
 
+  // Without cascade this only stops auto-accepting introductions from pubkey.
+  // With cascade, pubkey and every key it vouched for, directly or further
+  // down a chain, lose their trust too. Returns the keys removed from the
+  // whitelist.
   revokeTrust(pubkey, cascade = false) {
     this.trustConfig.autoAcceptFrom.delete(pubkey);
 
+    const removed = [];
     if (cascade) {
-      for (const [targetPubkey, peer] of this.peers) {
-        this.removeFromWhitelist(targetPubkey);
+      const subtree = this.getTrustSubtree(pubkey);
+
+      for (const key of subtree) {
+        this.trustConfig.autoAcceptFrom.delete(key);
+        if (this.whitelist.has(key)) {
+          this.dropFromWhitelist(key);
+          removed.push(key);
+        }
+      }
+
+      for (const [key, intro] of this.pendingIntroductions) {
+        if (intro.trustPath.some((hop) => subtree.has(hop))) {
+          this.pendingIntroductions.delete(key);
+        }
       }
     }
+
+    this.persistTrustState();
+    return removed;
+  }
+
+  getTrustSubtree(pubkey) {
+    const subtree = new Set([pubkey]);
+
+    let grew = true;
+    while (grew) {
+      grew = false;
+      for (const [key, record] of this.provenance) {
+        if (!subtree.has(key) && record.trustPath.some((hop) => subtree.has(hop))) {
+          subtree.add(key);
+          grew = true;
+        }
+      }
+    }
+
+    return subtree;
+  }
+
+  // Tells online peers that we no longer vouch for pubkey. Each receiver
+  // acts on the notice according to its own revocationPolicy.
+  async announceRevocation(pubkey, opts = {}) {
+    const notice = signRevocation(
+      {
+        pubkey,
+        revokerPubkey: this.keyPair.publicKey.toString("hex"),
+        cascade: opts.cascade ?? false,
+        reason: opts.reason,
+        timestamp: Date.now(),
+      },
+      this.keyPair
+    );
+
+    let sent = 0;
+    for (const [peerPubkey, peer] of this.peers) {
+      if (peerPubkey === pubkey || !peer.online) continue;
+      try {
+        await peer.sendRevocation(notice);
+        sent++;
+      } catch {}
+    }
+
+    return { sent };
+  }
+
+  handleRevocation(notice, revokerPubkeyHex) {
+    const validation = validateRevocation(
+      notice,
+      Buffer.from(revokerPubkeyHex, "hex"),
+      this.introductionMaxAge
+    );
+
+    if (!validation.valid) {
+      this.emit("revocation:rejected", notice.pubkey, validation.error);
+      return;
+    }
+
+    this.emit("revocation:received", notice);
+
+    if (!this.shouldApplyRevocation(notice)) return;
+
+    this.pendingIntroductions.delete(notice.pubkey);
+
+    let removed;
+    if (notice.cascade) {
+      removed = this.revokeTrust(notice.pubkey, true);
+    } else {
+      removed = this.whitelist.has(notice.pubkey) ? [notice.pubkey] : [];
+      this.trustConfig.autoAcceptFrom.delete(notice.pubkey);
+      this.removeFromWhitelist(notice.pubkey);
+    }
+
+    this.emit("revocation:applied", notice.pubkey, removed);
+  }
+
+  // "manual" leaves every notice to the application. "auto" follows notices
+  // from a key that vouched for the revoked key on its way to us. A function
+  // receives the notice and our provenance record and returns a boolean.
+  shouldApplyRevocation(notice) {
+    const record =
+      this.provenance.get(notice.pubkey) ??
+      this.pendingIntroductions.get(notice.pubkey);
+
+    if (typeof this.revocationPolicy === "function") {
+      return Boolean(this.revocationPolicy(notice, record));
+    }
+
+    if (this.revocationPolicy !== "auto" || !record) {
+      return false;
+    }
+
+    return record.trustPath.includes(notice.revokerPubkey);
+  }
+
+  exportTrustState() {
+    return {
+      version: TRUST_STATE_VERSION,
+      whitelist: Array.from(this.whitelist),
+      trustConfig: {
+        autoAcceptFrom: Array.from(this.trustConfig.autoAcceptFrom),
+        maxTrustDepth: this.trustConfig.maxTrustDepth,
+        requireApprovalFor: this.trustConfig.requireApprovalFor,
+      },
+      pendingIntroductions: Array.from(this.pendingIntroductions.values()).map(
+        (intro) => ({
+          ...intro,
+          signature: Buffer.isBuffer(intro.signature)
+            ? intro.signature.toString("hex")
+            : intro.signature,
+        })
+      ),
+      provenance: Array.from(this.provenance, ([pubkey, record]) => ({
+        pubkey,
+        ...record,
+      })),
+      roles: Array.from(this.roles, ([pubkey, roles]) => ({
+        pubkey,
+        roles: Array.from(roles),
+      })),
+    };
+  }
+
+  importTrustState(state) {
+    this.restoreTrustState(state);
+    this.persistTrustState();
+  }
+
+  restoreTrustState(state) {
+    if (state.version !== TRUST_STATE_VERSION) {
+      throw new StorageError(`Unsupported trust state version: ${state.version}`);
+    }
+
+    this.whitelist = new Set(state.whitelist);
+    this.trustConfig = {
+      autoAcceptFrom: new Set(state.trustConfig.autoAcceptFrom),
+      maxTrustDepth: state.trustConfig.maxTrustDepth,
+      requireApprovalFor: state.trustConfig.requireApprovalFor,
+    };
+    this.pendingIntroductions = new Map(
+      state.pendingIntroductions.map((intro) => [
+        intro.pubkey,
+        {
+          ...intro,
+          signature:
+            typeof intro.signature === "string"
+              ? Buffer.from(intro.signature, "hex")
+              : intro.signature,
+        },
+      ])
+    );
+    // State saved before provenance was tracked treats every key as manual
+    this.provenance = new Map(
+      (state.provenance ?? []).map(({ pubkey, ...record }) => [pubkey, record])
+    );
+    this.roles = new Map(
+      (state.roles ?? []).map(({ pubkey, roles }) => [pubkey, new Set(roles)])
+    );
+  }
+
+  persistTrustState() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.save(this.exportTrustState());
+    } catch (err) {
+      this.emit("error", err instanceof Error ? err : new Error(String(err)));
+    }
   }
 
   async stop() {
@@ -430,16 +1931,36 @@ export class AroniaNode extends EventEmitter {
       clearInterval(this.cleanupInterval);
     }
 
-    // Leave the topic first to stop accepting new connections
-    if (this._discovery) {
-      await this._discovery.destroy();
+    for (const dial of this.introductionDials.values()) {
+      clearTimeout(dial.timer);
+    }
+    this.introductionDials.clear();
+    this.reconnector.destroy();
+
+    for (const delivery of this.deliveries.values()) {
+      clearTimeout(delivery.timer);
+      delivery.reject(new PeerOfflineError(delivery.pubkey));
+    }
+    this.deliveries.clear();
+
+    for (const pending of this.relayRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new PeerOfflineError(pending.pubkey));
+    }
+    this.relayRequests.clear();
+
+    // Leave the topics first to stop accepting new connections
+    for (const topic of this.topics.values()) {
+      await topic.discovery.destroy();
     }
+    this.topics.clear();
 
     for (const peer of this.peers.values()) {
       peer.destroy();
     }
     this.peers.clear();
 
+    await this.traceFile?.flush();
     await this.swarm.destroy();
   }
 }
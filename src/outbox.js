@@ -0,0 +1,171 @@
+// src/outbox.js
+// Store-and-forward queue for messages to offline peers (Bare-compatible)
+
+import Buffer from 'bare-buffer';
+import crypto from 'hypercore-crypto';
+import { cbor } from './encoding.js';
+import { writeFileAtomic, readJSONFile } from './file.js';
+import {
+  OutboxError,
+  StorageError,
+  DEFAULT_OUTBOX_TTL,
+  DEFAULT_OUTBOX_MAX_PER_PEER,
+} from './types.js';
+
+const OUTBOX_VERSION = 1;
+
+// Items are kept per peer in the order they were queued. With a filename,
+// every change is written through so queued messages survive a restart,
+// except removals made with { save: false }, which wait for the next save.
+// Messages are stored as CBOR so that binary payloads round-trip.
+export class Outbox {
+  constructor(opts = {}) {
+    this.filename = opts.path;
+    this.ttl = opts.ttl ?? DEFAULT_OUTBOX_TTL;
+    this.maxPerPeer = opts.maxPerPeer ?? DEFAULT_OUTBOX_MAX_PER_PEER;
+    this.queues = new Map();
+
+    if (this.filename) {
+      this.load();
+    }
+  }
+
+  load() {
+    let state;
+    try {
+      state = readJSONFile(this.filename);
+    } catch (err) {
+      throw new StorageError(
+        `Cannot read ${this.filename}: ${err instanceof Error ? err.message : err}`
+      );
+    }
+
+    if (!state) return;
+
+    if (state.version !== OUTBOX_VERSION) {
+      throw new StorageError(`Unsupported outbox version: ${state.version}`);
+    }
+
+    for (const { message, ...item } of state.items) {
+      this.queueFor(item.pubkey).push({
+        ...item,
+        message: cbor.decode(Buffer.from(message, "base64")),
+      });
+    }
+  }
+
+  save() {
+    if (!this.filename) return;
+
+    const items = this.list().map((item) => ({
+      ...item,
+      message: cbor.encode(item.message).toString("base64"),
+    }));
+
+    writeFileAtomic(
+      this.filename,
+      JSON.stringify({ version: OUTBOX_VERSION, items }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+
+  queueFor(pubkey) {
+    let queue = this.queues.get(pubkey);
+    if (!queue) {
+      queue = [];
+      this.queues.set(pubkey, queue);
+    }
+    return queue;
+  }
+
+  enqueue(pubkey, message, ttl = this.ttl) {
+    const queue = this.queueFor(pubkey);
+    if (queue.length >= this.maxPerPeer) {
+      throw new OutboxError(`Queue for ${pubkey} is full (${this.maxPerPeer} items)`);
+    }
+
+    const now = Date.now();
+    const item = {
+      id: crypto.randomBytes(8).toString("hex"),
+      pubkey,
+      message,
+      queuedAt: now,
+      expiresAt: now + ttl,
+    };
+
+    queue.push(item);
+    this.save();
+    return item;
+  }
+
+  has(pubkey) {
+    return (this.queues.get(pubkey)?.length ?? 0) > 0;
+  }
+
+  peek(pubkey) {
+    return this.queues.get(pubkey)?.[0];
+  }
+
+  remove(item, opts = {}) {
+    const queue = this.queues.get(item.pubkey);
+    if (!queue) return false;
+
+    const index = queue.findIndex((queued) => queued.id === item.id);
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    if (queue.length === 0) {
+      this.queues.delete(item.pubkey);
+    }
+    if (opts.save !== false) {
+      this.save();
+    }
+    return true;
+  }
+
+  list(pubkey) {
+    if (pubkey !== undefined) {
+      return [...(this.queues.get(pubkey) ?? [])];
+    }
+    return Array.from(this.queues.values()).flat();
+  }
+
+  // Drops every item for pubkey, or everything when pubkey is omitted.
+  // Returns the dropped items.
+  purge(pubkey) {
+    const purged = this.list(pubkey);
+
+    if (pubkey !== undefined) {
+      this.queues.delete(pubkey);
+    } else {
+      this.queues.clear();
+    }
+
+    if (purged.length > 0) {
+      this.save();
+    }
+    return purged;
+  }
+
+  // Drops and returns items whose TTL has run out
+  expire(now = Date.now()) {
+    const expired = [];
+
+    for (const [pubkey, queue] of this.queues) {
+      const live = queue.filter((item) => item.expiresAt > now);
+      if (live.length === queue.length) continue;
+
+      expired.push(...queue.filter((item) => item.expiresAt <= now));
+      if (live.length > 0) {
+        this.queues.set(pubkey, live);
+      } else {
+        this.queues.delete(pubkey);
+      }
+    }
+
+    if (expired.length > 0) {
+      this.save();
+    }
+    return expired;
+  }
+}
@@ -5,19 +5,40 @@ import EventEmitter from 'bare-events';
 import Buffer from 'bare-buffer';
 import {
   MessageType,
+  MessageFlags,
   PeerOfflineError,
   RequestTimeoutError,
   ProtocolError,
+  ReplayError,
+  RemoteError,
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
 } from './types.js';
 import {
+  FrameDecoder,
+  ReplayGuard,
   serializeFrame,
   deserializeFrame,
   verifyFrame,
+  createFrame,
+  decodePayload,
+  negotiateProtocolVersion,
   createHeartbeat,
   createCapabilities,
   createRequest,
   createResponse,
+  createStreamData,
+  createStreamEnd,
 } from './protocol.js';
+import { RemoteStream, StreamSink } from './stream.js';
+import { LinkQuality } from './quality.js';
+import { getCompressionCodecs, negotiateCompression } from './compression.js';
+import { getEncodings, negotiateEncoding } from './encoding.js';
+
+// Metric label for each frame type, e.g. "event"
+const frameTypeNames = new Map(
+  Object.entries(MessageType).map(([name, type]) => [type, name.toLowerCase()])
+);
 
 export class PeerConnection extends EventEmitter {
   constructor(opts) {
@@ -36,12 +57,46 @@ export class PeerConnection extends EventEmitter {
     this.connectedAt = Date.now();
     this.lastSeen = Date.now();
     this.online = true;
+    this.reconnects = 0;
+    this.incompatible = false;
+    // Topic patterns the remote wants publishes for
+    this.subscriptions = new Set();
+    // Swarm topic keys (hex) we announce, and names of the ones we share
+    this.topicKeys = opts.topicKeys ?? [];
+    this.topics = [];
+    this.metrics = opts.metrics;
+    this.rateLimiter = opts.rateLimiter;
+    this.quality = new LinkQuality();
+    this.heartbeatSeq = 0;
 
     this.pendingRequests = new Map();
     this.requestCounter = 0;
+    this.incomingStreams = new Map();
+    this.outgoingStreams = new Map();
+    this.streamHighWaterMark = opts.streamHighWaterMark ?? 16;
     this.destroyed = false;
     this.writeQueue = [];
     this.writeDraining = false;
+    this.decoder = new FrameDecoder({ maxFrameSize: opts.maxFrameSize });
+    this.replayGuard = new ReplayGuard({ window: opts.replayWindow });
+    this.protocolVersions = opts.protocolVersions ?? {
+      min: MIN_PROTOCOL_VERSION,
+      max: PROTOCOL_VERSION,
+    };
+    // Until capabilities are exchanged we speak our oldest version
+    this.protocolVersion = this.protocolVersions.min;
+    // The version the remote speaks until it has our capabilities, or null
+    // before theirs arrive. Cleared once they use the negotiated version.
+    this.remoteHandshakeVersion = null;
+    this.versionNegotiated = false;
+    this.compressionCodecs =
+      opts.compression === false ? [] : opts.compression ?? getCompressionCodecs();
+    this.compressionThreshold = opts.compressionThreshold;
+    this.outgoingCompression = null;
+    this.incomingCompression = null;
+    this.encodings = opts.encodings ?? getEncodings();
+    this.outgoingEncoding = null;
+    this.incomingEncoding = null;
 
     this.setupStreamHandlers();
     this.startHeartbeat();
@@ -53,6 +108,12 @@ export class PeerConnection extends EventEmitter {
       this.handleData(data);
     });
 
+    // The remote hung up, for example after suspending us. Ending our side
+    // too lets the stream close instead of staying half-open.
+    this.stream.on("end", () => {
+      this.stream.end();
+    });
+
     this.stream.on("close", () => {
       this.handleDisconnect();
     });
@@ -68,13 +129,54 @@ export class PeerConnection extends EventEmitter {
   }
 
   handleData(data) {
+    if (this.destroyed) return;
+
+    this.lastSeen = Date.now();
+    this.resetHeartbeatTimeout();
+
+    let buffers;
+    try {
+      buffers = this.decoder.push(data);
+    } catch (err) {
+      // The length prefix can no longer be trusted, so there is no way to
+      // find the next frame boundary. Drop the connection.
+      this.emit("error", err);
+      this.destroy();
+      return;
+    }
+
+    for (const buffer of buffers) {
+      if (this.destroyed) return;
+      this.handleFrameBuffer(buffer);
+    }
+  }
+
+  handleFrameBuffer(buffer) {
+    // Checked before anything is decoded, so a flood costs no signature checks
+    const limited = this.rateLimiter?.checkFrame(this.pubkey, buffer.length);
+    if (limited) {
+      this.emit("rate-limited", limited);
+      return;
+    }
+
     try {
-      this.lastSeen = Date.now();
-      this.resetHeartbeatTimeout();
+      const frame = deserializeFrame(buffer, {
+        minVersion: this.protocolVersions.min,
+        maxVersion: this.protocolVersions.max,
+      });
 
-      const frame = deserializeFrame(data);
+      if (!this.checkFrameVersion(frame)) {
+        this.emit(
+          "error",
+          new ProtocolError(
+            `Expected protocol version ${this.protocolVersion}, got ${frame.version}`
+          )
+        );
+        return;
+      }
 
       if (!verifyFrame(frame)) {
+        this.metrics?.inc("aronia_signature_failures_total");
         this.emit("error", new ProtocolError("Invalid frame signature"));
         return;
       }
@@ -90,14 +192,36 @@ export class PeerConnection extends EventEmitter {
         return;
       }
 
+      this.replayGuard.check(frame);
+      this.recordFrame("in", frame.type, buffer.length);
       this.handleFrame(frame);
     } catch (err) {
+      if (err instanceof ReplayError) {
+        this.emit("replay", err);
+        return;
+      }
       this.emit("error", err instanceof Error ? err : new Error(String(err)));
     }
   }
 
+  // After the handshake only the negotiated version is accepted. Frames the
+  // remote sent before it had our capabilities use its oldest version, and
+  // are allowed until its first frame at the negotiated one.
+  checkFrameVersion(frame) {
+    if (!this.versionNegotiated) return true;
+    if (frame.version === this.protocolVersion) {
+      this.remoteHandshakeVersion = null;
+      return true;
+    }
+    return frame.version === this.remoteHandshakeVersion;
+  }
+
   handleFrame(frame) {
-    const payload = JSON.parse(frame.payload.toString("utf-8"));
+    const payload = decodePayload(frame, {
+      encoding: this.incomingEncoding,
+      compression: this.incomingCompression,
+      maxPayloadSize: this.decoder.maxFrameSize,
+    });
 
     switch (frame.type) {
       case MessageType.CONTROL:
@@ -113,13 +237,42 @@ export class PeerConnection extends EventEmitter {
         break;
 
       case MessageType.EVENT:
-        this.emit("message", { type: MessageType.EVENT, payload });
+        if (frame.flags & (MessageFlags.RELIABLE | MessageFlags.TRACED)) {
+          this.emit("message", {
+            type: MessageType.EVENT,
+            payload: payload.payload,
+            id: payload.id,
+            trace: payload.trace,
+          });
+        } else {
+          this.emit("message", { type: MessageType.EVENT, payload });
+        }
+        break;
+
+      case MessageType.STREAM_DATA:
+        this.handleStreamData(payload);
+        break;
+
+      case MessageType.STREAM_END:
+        this.handleStreamEnd(payload);
         break;
 
       case MessageType.INTRODUCE:
         this.emit("introduction", payload);
         break;
 
+      case MessageType.REVOKE:
+        this.emit("revocation", payload);
+        break;
+
+      case MessageType.PUBLISH:
+        this.emit("publish", payload);
+        break;
+
+      case MessageType.RELAY:
+        this.emit("relay", payload);
+        break;
+
       default:
         this.emit("error", new ProtocolError(`Unknown message type: ${frame.type}`));
     }
@@ -128,23 +281,134 @@ export class PeerConnection extends EventEmitter {
   handleControl(msg) {
     switch (msg.type) {
       case "heartbeat":
+        // Peers that predate echoes send no sequence number
+        if (msg.seq !== undefined) {
+          this.sendControl({ type: "heartbeat-echo", seq: msg.seq }).catch(() => {});
+        }
+        break;
+
+      case "heartbeat-echo":
+        if (this.quality.echo(msg.seq) !== null) {
+          this.emit("quality", this.quality.toJSON());
+        }
         break;
 
       case "capabilities":
         if (msg.data) {
+          const version = negotiateProtocolVersion(
+            this.protocolVersions,
+            msg.data.protocol
+          );
+          if (version === null) {
+            this.incompatible = true;
+            const theirs = msg.data.protocol ?? { min: 1, max: 1 };
+            this.emit(
+              "incompatible",
+              `No common protocol version (ours ${this.protocolVersions.min}-${this.protocolVersions.max}, theirs ${theirs.min}-${theirs.max})`
+            );
+            this.destroy();
+            return;
+          }
+
+          this.protocolVersion = version;
+          this.remoteHandshakeVersion = msg.data.protocol?.min ?? MIN_PROTOCOL_VERSION;
+          this.versionNegotiated = true;
           this.capabilities = msg.data;
+          this.outgoingCompression = negotiateCompression(
+            this.compressionCodecs,
+            msg.data.compression
+          );
+          this.incomingCompression = negotiateCompression(
+            msg.data.compression,
+            this.compressionCodecs
+          );
+          this.outgoingEncoding = negotiateEncoding(
+            this.encodings,
+            msg.data.encodings
+          );
+          this.incomingEncoding = negotiateEncoding(
+            msg.data.encodings,
+            this.encodings
+          );
           this.emit("capabilities", this.capabilities);
         }
         break;
+
+      case "ack":
+        this.emit("ack", msg.id);
+        break;
+
+      case "subscriptions":
+        this.emit("subscriptions", msg.patterns);
+        break;
+
+      case "throttle":
+        this.emit("throttle", { reason: msg.reason, retryAfter: msg.retryAfter });
+        break;
+
+      case "stream-credit": {
+        const sink = this.outgoingStreams.get(msg.id);
+        if (sink) sink.addCredit(msg.credit);
+        break;
+      }
+
+      case "stream-cancel": {
+        const sink = this.outgoingStreams.get(msg.id);
+        if (sink) sink.cancel();
+        break;
+      }
     }
   }
 
   handleRequest(request) {
+    if (request.stream) {
+      this.handleStreamRequest(request);
+      return;
+    }
+
     this.emit("request", request, (response) => {
-      this.sendResponse(response);
+      // The caller may have disconnected while the handler ran
+      if (this.destroyed || !this.online) return;
+      this.sendResponse(response).catch((err) => this.emit("error", err));
     });
   }
 
+  handleStreamRequest(request) {
+    const sink = new StreamSink({
+      id: request.id,
+      credit: request.credit,
+      sendData: (chunk) =>
+        this.writeFrame(
+          createStreamData(chunk, this.ourKeyPair, this.frameOptions())
+        ),
+      sendEnd: (end) =>
+        this.writeFrame(createStreamEnd(end, this.ourKeyPair, this.frameOptions())),
+      onClose: () => this.outgoingStreams.delete(request.id),
+    });
+
+    this.outgoingStreams.set(request.id, sink);
+    this.emit("stream", request, sink);
+  }
+
+  handleStreamData(chunk) {
+    const stream = this.incomingStreams.get(chunk.id);
+    if (!stream) {
+      return;
+    }
+
+    stream.push(chunk.data);
+  }
+
+  handleStreamEnd(end) {
+    const stream = this.incomingStreams.get(end.id);
+    if (!stream) {
+      return;
+    }
+
+    this.incomingStreams.delete(end.id);
+    stream.end(end.error ? new RemoteError(end.error) : undefined);
+  }
+
   handleResponse(response) {
     const pending = this.pendingRequests.get(response.id);
     if (!pending) {
@@ -155,7 +419,7 @@ export class PeerConnection extends EventEmitter {
     this.pendingRequests.delete(response.id);
 
     if (response.error) {
-      pending.reject(new Error(response.error.message));
+      pending.reject(new RemoteError(response.error));
     } else {
       pending.resolve(response.result);
     }
@@ -172,6 +436,7 @@ export class PeerConnection extends EventEmitter {
       pending.reject(new PeerOfflineError(this.pubkey));
     }
     this.pendingRequests.clear();
+    this.closeStreams();
 
     this.emit("disconnect");
   }
@@ -180,7 +445,12 @@ export class PeerConnection extends EventEmitter {
     this.heartbeatTimer = setInterval(() => {
       if (this.destroyed || !this.online) return;
 
-      const heartbeat = createHeartbeat(this.ourKeyPair);
+      const seq = ++this.heartbeatSeq;
+      if (this.quality.sent(seq) > 0 && this.quality.samples > 0) {
+        this.emit("quality", this.quality.toJSON());
+      }
+
+      const heartbeat = createHeartbeat(this.ourKeyPair, seq);
       this.writeFrame(heartbeat).catch(() => {});
     }, this.heartbeatInterval);
 
@@ -215,6 +485,7 @@ export class PeerConnection extends EventEmitter {
     }
 
     const buffer = serializeFrame(frame);
+    this.recordFrame("out", frame.type, buffer.length);
     const canContinue = this.stream.write(buffer);
 
     if (!canContinue) {
@@ -239,6 +510,16 @@ export class PeerConnection extends EventEmitter {
     }
   }
 
+  recordFrame(direction, type, bytes) {
+    if (!this.metrics) return;
+
+    const typeName = frameTypeNames.get(type) ?? "unknown";
+    this.metrics.inc("aronia_frames_total", { direction, type: typeName });
+    this.metrics.inc("aronia_frame_bytes_total", { direction, type: typeName }, bytes);
+    this.metrics.inc("aronia_peer_frames_total", { direction, peer: this.pubkey });
+    this.metrics.inc("aronia_peer_frame_bytes_total", { direction, peer: this.pubkey }, bytes);
+  }
+
   processWriteQueue() {
     this.writeDraining = false;
 
@@ -249,11 +530,36 @@ export class PeerConnection extends EventEmitter {
   }
 
   async send(message) {
-    const frame = createFrame(message.type, message.payload, this.ourKeyPair);
+    const frame = message.trace
+      ? createFrame(
+          message.type,
+          { trace: message.trace, payload: message.payload },
+          this.ourKeyPair,
+          MessageFlags.TRACED,
+          this.frameOptions()
+        )
+      : createFrame(
+          message.type,
+          message.payload,
+          this.ourKeyPair,
+          0,
+          this.frameOptions()
+        );
+    await this.writeFrame(frame);
+  }
+
+  async sendReliable(id, message) {
+    const frame = createFrame(
+      message.type,
+      { id, payload: message.payload, trace: message.trace },
+      this.ourKeyPair,
+      MessageFlags.RELIABLE | (message.trace ? MessageFlags.TRACED : 0),
+      this.frameOptions()
+    );
     await this.writeFrame(frame);
   }
 
-  async request(method, params, timeout = 30000) {
+  async request(method, params, timeout = 30000, trace) {
     const id = `${Date.now()}-${++this.requestCounter}`;
 
     const request = {
@@ -262,6 +568,9 @@ export class PeerConnection extends EventEmitter {
       params,
       timeout,
     };
+    if (trace) {
+      request.trace = trace;
+    }
 
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
@@ -275,7 +584,7 @@ export class PeerConnection extends EventEmitter {
         timer,
       });
 
-      const frame = createRequest(request, this.ourKeyPair);
+      const frame = createRequest(request, this.ourKeyPair, this.frameOptions());
       this.writeFrame(frame).catch((err) => {
         clearTimeout(timer);
         this.pendingRequests.delete(id);
@@ -284,16 +593,149 @@ export class PeerConnection extends EventEmitter {
     });
   }
 
+  openStream(method, params, opts = {}) {
+    if (this.destroyed) {
+      throw new PeerOfflineError(this.pubkey);
+    }
+
+    const id = `${Date.now()}-${++this.requestCounter}`;
+    const highWaterMark = opts.highWaterMark ?? this.streamHighWaterMark;
+
+    const stream = new RemoteStream({
+      id,
+      highWaterMark,
+      onCredit: (credit) => {
+        this.sendControl({ type: "stream-credit", id, credit }).catch(() => {});
+      },
+      onCancel: () => {
+        this.incomingStreams.delete(id);
+        this.sendControl({ type: "stream-cancel", id }).catch(() => {});
+      },
+    });
+
+    this.incomingStreams.set(id, stream);
+
+    const request = {
+      id,
+      method,
+      params,
+      stream: true,
+      credit: highWaterMark,
+    };
+    if (opts.trace) {
+      request.trace = opts.trace;
+    }
+
+    const frame = createRequest(request, this.ourKeyPair, this.frameOptions());
+    this.writeFrame(frame).catch((err) => {
+      this.incomingStreams.delete(id);
+      stream.end(err);
+    });
+
+    return stream;
+  }
+
+  closeStreams() {
+    for (const stream of this.incomingStreams.values()) {
+      stream.end(new PeerOfflineError(this.pubkey));
+    }
+    this.incomingStreams.clear();
+
+    for (const sink of this.outgoingStreams.values()) {
+      sink.cancel();
+    }
+    this.outgoingStreams.clear();
+  }
+
+  async sendControl(msg) {
+    const frame = createFrame(
+      MessageType.CONTROL,
+      msg,
+      this.ourKeyPair,
+      0,
+      this.frameOptions()
+    );
+    await this.writeFrame(frame);
+  }
+
+  // Sends an introduction that has already been signed
+  async sendIntroduction(intro) {
+    const frame = createFrame(
+      MessageType.INTRODUCE,
+      intro,
+      this.ourKeyPair,
+      0,
+      this.frameOptions()
+    );
+    await this.writeFrame(frame);
+  }
+
+  // Sends a revocation notice that has already been signed
+  async sendRevocation(notice) {
+    const frame = createFrame(
+      MessageType.REVOKE,
+      notice,
+      this.ourKeyPair,
+      0,
+      this.frameOptions()
+    );
+    await this.writeFrame(frame);
+  }
+
+  async publish(topic, data) {
+    const frame = createFrame(
+      MessageType.PUBLISH,
+      { topic, data },
+      this.ourKeyPair,
+      0,
+      this.frameOptions()
+    );
+    await this.writeFrame(frame);
+  }
+
+  async sendRelay(envelope) {
+    const frame = createFrame(
+      MessageType.RELAY,
+      envelope,
+      this.ourKeyPair,
+      0,
+      this.frameOptions()
+    );
+    await this.writeFrame(frame);
+  }
+
+  async sendSubscriptions(patterns) {
+    await this.sendControl({ type: "subscriptions", patterns });
+  }
+
+  // Tells the remote it is over a limit and its frames are being dropped
+  async sendThrottle(reason, retryAfter) {
+    await this.sendControl({ type: "throttle", reason, retryAfter });
+  }
+
   async sendResponse(response) {
-    const frame = createResponse(response, this.ourKeyPair);
+    const frame = createResponse(response, this.ourKeyPair, this.frameOptions());
     await this.writeFrame(frame);
   }
 
+  frameOptions() {
+    return {
+      version: this.protocolVersion,
+      encoding: this.outgoingEncoding,
+      compression: this.outgoingCompression,
+      compressionThreshold: this.compressionThreshold,
+    };
+  }
+
   async sendCapabilities() {
     const ourCapabilities = {
       agent: "aronia",
       version: "0.1.0",
       accepts: ["application/json"],
+      protocol: this.protocolVersions,
+      encodings: this.encodings,
+      compression: this.compressionCodecs,
+      topics: this.topicKeys,
     };
 
     const frame = createCapabilities(ourCapabilities, this.ourKeyPair);
@@ -305,6 +747,7 @@ export class PeerConnection extends EventEmitter {
 
     this.destroyed = true;
     this.stopHeartbeat();
+    this.decoder.reset();
     this.stream.destroy();
 
     for (const [id, pending] of this.pendingRequests) {
@@ -312,5 +755,11 @@ export class PeerConnection extends EventEmitter {
       pending.reject(new PeerOfflineError(this.pubkey));
     }
     this.pendingRequests.clear();
+    this.closeStreams();
+
+    if (this.online) {
+      this.online = false;
+      this.emit("disconnect");
+    }
   }
 }
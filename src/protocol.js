@@ -5,12 +5,21 @@ import Buffer from 'bare-buffer';
 import crypto from 'hypercore-crypto';
 import {
   MessageType,
+  MessageFlags,
   ProtocolError,
+  ReplayError,
   PUBLIC_KEY_SIZE,
   SIGNATURE_SIZE,
   HEADER_SIZE,
+  DEFAULT_MAX_FRAME_SIZE,
+  DEFAULT_COMPRESSION_THRESHOLD,
+  DEFAULT_REPLAY_WINDOW,
+  MIN_PROTOCOL_VERSION,
+  HANDSHAKE_PROTOCOL_VERSION,
   PROTOCOL_VERSION as PROTOCOL_VERSION_IMPORTED,
 } from './types.js';
+import { compress, decompress } from './compression.js';
+import { encode, decode } from './encoding.js';
 
 // Re-export protocol version for convenience
 export const PROTOCOL_VERSION = PROTOCOL_VERSION_IMPORTED;
@@ -67,7 +76,7 @@ export function serializeFrame(frame) {
   return buffer;
 }
 
-export function deserializeFrame(buffer) {
+export function deserializeFrame(buffer, opts = {}) {
   if (buffer.length < HEADER_SIZE + SIGNATURE_SIZE) {
     throw new ProtocolError(
       `Buffer too small: ${buffer.length} bytes, need at least ${
@@ -92,7 +101,12 @@ export function deserializeFrame(buffer) {
   const version = buffer.readUInt8(offset);
   offset += 1;
 
-  if (version !== PROTOCOL_VERSION) {
+  const minVersion = opts.minVersion ?? MIN_PROTOCOL_VERSION;
+  const maxVersion = opts.maxVersion ?? PROTOCOL_VERSION;
+  if (
+    version !== HANDSHAKE_PROTOCOL_VERSION &&
+    (version < minVersion || version > maxVersion)
+  ) {
     throw new ProtocolError(`Unsupported protocol version: ${version}`);
   }
 
@@ -135,17 +149,121 @@ export function deserializeFrame(buffer) {
   };
 }
 
+// ============================================================================
+// Stream Decoding
+// ============================================================================
+
+// Splits a byte stream into whole frames using the 32-bit length prefix.
+// Chunks from the transport may hold a partial frame or several frames, so
+// input is buffered until each frame is complete.
+export class FrameDecoder {
+  constructor(opts = {}) {
+    this.maxFrameSize = opts.maxFrameSize ?? DEFAULT_MAX_FRAME_SIZE;
+    this.chunks = [];
+    this.buffered = 0;
+  }
+
+  push(data) {
+    if (data.length > 0) {
+      this.chunks.push(data);
+      this.buffered += data.length;
+    }
+
+    const frames = [];
+
+    while (this.buffered >= 4) {
+      const length = this.peekLength();
+
+      if (length < HEADER_SIZE + SIGNATURE_SIZE) {
+        throw new ProtocolError(`Invalid frame length: ${length}`);
+      }
+
+      if (length > this.maxFrameSize) {
+        throw new ProtocolError(
+          `Frame too large: ${length} bytes exceeds limit of ${this.maxFrameSize}`
+        );
+      }
+
+      if (this.buffered < length) {
+        break;
+      }
+
+      frames.push(this.take(length));
+    }
+
+    return frames;
+  }
+
+  peekLength() {
+    if (this.chunks[0].length < 4) {
+      this.chunks = [Buffer.concat(this.chunks)];
+    }
+    return this.chunks[0].readUInt32BE(0);
+  }
+
+  take(length) {
+    if (this.chunks[0].length < length) {
+      this.chunks = [Buffer.concat(this.chunks)];
+    }
+
+    const head = this.chunks[0];
+    const frame = head.subarray(0, length);
+
+    if (head.length === length) {
+      this.chunks.shift();
+    } else {
+      this.chunks[0] = head.subarray(length);
+    }
+    this.buffered -= length;
+
+    return frame;
+  }
+
+  reset() {
+    this.chunks = [];
+    this.buffered = 0;
+  }
+}
+
 // ============================================================================
 // Message Creation
 // ============================================================================
 
-export function createFrame(type, payload, keyPair, flags = 0) {
-  const payloadBuffer = Buffer.from(JSON.stringify(payload));
-  const timestamp = Date.now();
+let lastTimestamp = 0;
+
+// Frame timestamps strictly increase, even if the wall clock goes backwards
+// or several frames are created within one millisecond, so receivers can
+// treat them as a per-sender sequence number.
+function nextTimestamp() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return lastTimestamp;
+}
+
+// opts.encoding and opts.compression name the payload encoding and codec
+// negotiated with the receiving peer. JSON is used when no encoding is given.
+// Payloads of at least opts.compressionThreshold bytes are compressed before
+// signing, so the signature covers the bytes that go on the wire.
+export function createFrame(type, payload, keyPair, flags = 0, opts = {}) {
+  const encoding = opts.encoding ?? "json";
+  let payloadBuffer = encode(encoding, payload);
+  if (encoding !== "json") {
+    flags |= MessageFlags.BINARY;
+  }
+
+  const threshold = opts.compressionThreshold ?? DEFAULT_COMPRESSION_THRESHOLD;
+  if (opts.compression && payloadBuffer.length >= threshold) {
+    const compressed = compress(opts.compression, payloadBuffer);
+    if (compressed.length < payloadBuffer.length) {
+      payloadBuffer = compressed;
+      flags |= MessageFlags.COMPRESSED;
+    }
+  }
+
+  const timestamp = nextTimestamp();
 
   const frameWithoutSig = {
     length: 0,
-    version: PROTOCOL_VERSION,
+    version: opts.version ?? PROTOCOL_VERSION,
     type,
     flags,
     timestamp,
@@ -181,14 +299,38 @@ export function verifyFrame(frame) {
   }
 }
 
+export function decodePayload(frame, opts = {}) {
+  let payload = frame.payload;
+
+  if (frame.flags & MessageFlags.COMPRESSED) {
+    if (!opts.compression) {
+      throw new ProtocolError("Compressed frame received but no codec was negotiated");
+    }
+    payload = decompress(
+      opts.compression,
+      payload,
+      opts.maxPayloadSize ?? DEFAULT_MAX_FRAME_SIZE
+    );
+  }
+
+  if (frame.flags & MessageFlags.BINARY) {
+    if (!opts.encoding) {
+      throw new ProtocolError("Binary frame received but no encoding was negotiated");
+    }
+    return decode(opts.encoding, payload);
+  }
+
+  return JSON.parse(payload.toString("utf-8"));
+}
+
 // ============================================================================
 // Message Helpers
 // ============================================================================
 
-export function createHeartbeat(keyPair) {
+export function createHeartbeat(keyPair, seq) {
   return createFrame(
     MessageType.CONTROL,
-    { type: "heartbeat", timestamp: Date.now() },
+    { type: "heartbeat", timestamp: Date.now(), seq },
     keyPair
   );
 }
@@ -197,39 +339,200 @@ export function createCapabilities(capabilities, keyPair) {
   return createFrame(
     MessageType.CONTROL,
     { type: "capabilities", data: capabilities },
-    keyPair
+    keyPair,
+    0,
+    { version: HANDSHAKE_PROTOCOL_VERSION }
+  );
+}
+
+export function createRequest(request, keyPair, opts) {
+  return createFrame(MessageType.REQUEST, request, keyPair, 0, opts);
+}
+
+export function createResponse(response, keyPair, opts) {
+  return createFrame(MessageType.RESPONSE, response, keyPair, 0, opts);
+}
+
+export function createEvent(event, keyPair, opts) {
+  return createFrame(MessageType.EVENT, event, keyPair, 0, opts);
+}
+
+export function createStreamData(chunk, keyPair, opts) {
+  return createFrame(MessageType.STREAM_DATA, chunk, keyPair, 0, opts);
+}
+
+export function createStreamEnd(end, keyPair, opts) {
+  return createFrame(MessageType.STREAM_END, end, keyPair, 0, opts);
+}
+
+// The signed bytes are rebuilt from the known fields so that extra local
+// fields (receivedAt, ...) never affect verification.
+function introductionPayload(intro) {
+  return Buffer.from(
+    JSON.stringify({
+      pubkey: intro.pubkey,
+      alias: intro.alias,
+      capabilities: intro.capabilities,
+      message: intro.message,
+      introducerPubkey: intro.introducerPubkey,
+      timestamp: intro.timestamp,
+      trustPath: intro.trustPath,
+    })
+  );
+}
+
+// Each forwarding hop signs the previous signature together with its own
+// key, so the links can only be verified in order back to the origin.
+function linkPayload(previousSignature, pubkey) {
+  return Buffer.from(
+    JSON.stringify({ previous: toHex(previousSignature), pubkey })
   );
 }
 
-export function createRequest(request, keyPair) {
-  return createFrame(MessageType.REQUEST, request, keyPair);
+function toHex(signature) {
+  return Buffer.isBuffer(signature) ? signature.toString("hex") : signature;
 }
 
-export function createResponse(response, keyPair) {
-  return createFrame(MessageType.RESPONSE, response, keyPair);
+function verifyHexSignature(payload, signature, pubkeyHex) {
+  const signatureBuffer =
+    typeof signature === "string" ? Buffer.from(signature, "hex") : signature;
+
+  return (
+    Buffer.isBuffer(signatureBuffer) &&
+    crypto.verify(payload, signatureBuffer, Buffer.from(pubkeyHex, "hex"))
+  );
 }
 
-export function createEvent(event, keyPair) {
-  return createFrame(MessageType.EVENT, event, keyPair);
+function isPubkeyHex(value) {
+  return typeof value === "string" && /^[0-9a-f]{64}$/.test(value);
 }
 
-export function createIntroduction(intro, keyPair) {
-  const payloadBuffer = Buffer.from(JSON.stringify(intro));
-  const signature = crypto.sign(payloadBuffer, keyPair.secretKey);
+// Signatures travel as hex so they survive every payload encoding.
+export function signIntroduction(intro, keyPair) {
+  const signature = crypto.sign(introductionPayload(intro), keyPair.secretKey);
 
-  const fullIntro = {
+  return {
     ...intro,
-    signature,
+    signature: signature.toString("hex"),
+    links: [],
   };
+}
+
+// Forwards a received introduction: we become the introducer, join the end
+// of the trust path and add a link signature over the previous one.
+export function extendIntroduction(intro, keyPair) {
+  const ownPubkey = keyPair.publicKey.toString("hex");
+  const links = intro.links ?? [];
+  const previous = links.length > 0 ? links[links.length - 1] : intro.signature;
+  const link = crypto.sign(linkPayload(previous, ownPubkey), keyPair.secretKey);
 
-  return createFrame(MessageType.INTRODUCE, fullIntro, keyPair);
+  return {
+    ...intro,
+    introducerPubkey: ownPubkey,
+    trustPath: [...intro.trustPath, ownPubkey],
+    signature: toHex(intro.signature),
+    links: [...links, link.toString("hex")],
+  };
+}
+
+export function createIntroduction(intro, keyPair, opts) {
+  return createFrame(
+    MessageType.INTRODUCE,
+    signIntroduction(intro, keyPair),
+    keyPair,
+    0,
+    opts
+  );
+}
+
+function revocationPayload(notice) {
+  return Buffer.from(
+    JSON.stringify({
+      pubkey: notice.pubkey,
+      revokerPubkey: notice.revokerPubkey,
+      cascade: notice.cascade,
+      reason: notice.reason,
+      timestamp: notice.timestamp,
+    })
+  );
+}
+
+export function signRevocation(notice, keyPair) {
+  const signature = crypto.sign(revocationPayload(notice), keyPair.secretKey);
+
+  return {
+    ...notice,
+    signature: signature.toString("hex"),
+  };
+}
+
+export function createRevocation(notice, keyPair, opts) {
+  return createFrame(
+    MessageType.REVOKE,
+    signRevocation(notice, keyPair),
+    keyPair,
+    0,
+    opts
+  );
+}
+
+// Wraps a message for delivery through relays: a complete frame signed by
+// the origin, addressed to the destination inside the signed payload so a
+// relay cannot redirect it. JSON without compression, since the origin has
+// not negotiated anything with the destination. The id is the origin's
+// signature, which relays cannot change.
+export function sealRelayed(message, destination, keyPair) {
+  const frame = createFrame(
+    message.type,
+    { destination, payload: message.payload },
+    keyPair
+  );
+
+  return {
+    id: frame.signature.toString("hex"),
+    frame: serializeFrame(frame).toString("base64"),
+  };
 }
 
 // ============================================================================
 // Validation
 // ============================================================================
 
+// Rejects frames outside the acceptance window and frames that do not
+// advance the sender's timestamp. Frames arrive in order on a stream and
+// senders strictly increase their timestamps, so anything else is a replay.
+export class ReplayGuard {
+  constructor(opts = {}) {
+    this.window = opts.window ?? DEFAULT_REPLAY_WINDOW;
+    this.lastTimestamp = 0;
+  }
+
+  check(frame, now = Date.now()) {
+    const skew = now - frame.timestamp;
+
+    if (skew > this.window) {
+      throw new ReplayError(`Frame is ${skew}ms old`);
+    }
+
+    if (-skew > this.window) {
+      throw new ReplayError(`Frame is ${-skew}ms in the future`);
+    }
+
+    if (frame.timestamp <= this.lastTimestamp) {
+      throw new ReplayError(
+        `Timestamp ${frame.timestamp} does not advance past ${this.lastTimestamp}`
+      );
+    }
+
+    this.lastTimestamp = frame.timestamp;
+  }
+}
+
 export function validateIntroduction(intro, introducerPubkey, maxAge = 24 * 60 * 60 * 1000) {
+  if (!isPubkeyHex(intro.pubkey)) {
+    return { valid: false, error: "Invalid introduced pubkey" };
+  }
+
   const age = Date.now() - intro.timestamp;
   if (age > maxAge) {
     return { valid: false, error: `Introduction expired (${age}ms old)` };
@@ -239,22 +542,41 @@ export function validateIntroduction(intro, introducerPubkey, maxAge = 24 * 60 *
     return { valid: false, error: "Introduction from the future" };
   }
 
-  const payload = {
-    pubkey: intro.pubkey,
-    alias: intro.alias,
-    capabilities: intro.capabilities,
-    message: intro.message,
-    introducerPubkey: intro.introducerPubkey,
-    timestamp: intro.timestamp,
-    trustPath: intro.trustPath,
-  };
-  const payloadBuffer = Buffer.from(JSON.stringify(payload));
+  const trustPath = intro.trustPath;
+  const links = intro.links ?? [];
+
+  if (!Array.isArray(trustPath) || trustPath.length === 0 || !trustPath.every(isPubkeyHex)) {
+    return { valid: false, error: "Invalid trust path" };
+  }
+
+  if (!Array.isArray(links) || links.length !== trustPath.length - 1) {
+    return { valid: false, error: "Trust path does not match signature chain" };
+  }
 
-  if (!crypto.verify(payloadBuffer, intro.signature, introducerPubkey)) {
+  // The origin signed the introduction before anyone forwarded it
+  const origin = {
+    ...intro,
+    introducerPubkey: trustPath[0],
+    trustPath: [trustPath[0]],
+  };
+  if (!verifyHexSignature(introductionPayload(origin), intro.signature, trustPath[0])) {
     return { valid: false, error: "Invalid introduction signature" };
   }
 
-  if (intro.introducerPubkey !== introducerPubkey.toString('hex')) {
+  let previous = intro.signature;
+  for (let i = 0; i < links.length; i++) {
+    const hop = trustPath[i + 1];
+    if (!verifyHexSignature(linkPayload(previous, hop), links[i], hop)) {
+      return { valid: false, error: `Invalid signature for hop ${i + 1}` };
+    }
+    previous = links[i];
+  }
+
+  // The chain must end with the peer that delivered it to us
+  if (
+    intro.introducerPubkey !== introducerPubkey.toString('hex') ||
+    trustPath[trustPath.length - 1] !== intro.introducerPubkey
+  ) {
     return {
       valid: false,
       error: "Introducer pubkey mismatch in introduction",
@@ -264,6 +586,83 @@ export function validateIntroduction(intro, introducerPubkey, maxAge = 24 * 60 *
   return { valid: true };
 }
 
+export function validateRevocation(notice, senderPubkey, maxAge = 24 * 60 * 60 * 1000) {
+  if (!isPubkeyHex(notice.pubkey)) {
+    return { valid: false, error: "Invalid revoked pubkey" };
+  }
+
+  const age = Date.now() - notice.timestamp;
+  if (age > maxAge) {
+    return { valid: false, error: `Revocation expired (${age}ms old)` };
+  }
+
+  if (age < 0) {
+    return { valid: false, error: "Revocation from the future" };
+  }
+
+  // Only the revoker itself may deliver its notice
+  if (notice.revokerPubkey !== senderPubkey.toString("hex")) {
+    return { valid: false, error: "Revoker pubkey mismatch in revocation" };
+  }
+
+  if (!verifyHexSignature(revocationPayload(notice), notice.signature, notice.revokerPubkey)) {
+    return { valid: false, error: "Invalid revocation signature" };
+  }
+
+  return { valid: true };
+}
+
+// On success, message is { id, origin, destination, type, payload,
+// timestamp }, with the same id sealRelayed returned.
+export function validateRelayed(sealed, maxAge = DEFAULT_REPLAY_WINDOW) {
+  let frame;
+  let body;
+  try {
+    frame = deserializeFrame(Buffer.from(sealed, "base64"));
+    body = decodePayload(frame);
+  } catch (err) {
+    return { valid: false, error: `Malformed relayed frame: ${err.message}` };
+  }
+
+  if (!verifyFrame(frame)) {
+    return { valid: false, error: "Invalid relayed frame signature" };
+  }
+
+  const age = Date.now() - frame.timestamp;
+  if (Math.abs(age) > maxAge) {
+    return { valid: false, error: `Relayed frame is outside the replay window (${age}ms)` };
+  }
+
+  if (!body || !isPubkeyHex(body.destination)) {
+    return { valid: false, error: "Invalid relay destination" };
+  }
+
+  return {
+    valid: true,
+    message: {
+      id: frame.signature.toString("hex"),
+      origin: frame.senderPubkey.toString("hex"),
+      destination: body.destination,
+      type: frame.type,
+      payload: body.payload,
+      timestamp: frame.timestamp,
+    },
+  };
+}
+
+// Returns the highest version both ranges contain, or null. Peers that
+// predate negotiation do not advertise a range and only speak version 1.
+export function negotiateProtocolVersion(ours, theirs) {
+  const remote = theirs ?? { min: 1, max: 1 };
+  const version = Math.min(ours.max, remote.max);
+
+  if (!Number.isInteger(version) || version < Math.max(ours.min, remote.min)) {
+    return null;
+  }
+
+  return version;
+}
+
 export function detectCircularTrust(trustPath, ownPubkey) {
   if (trustPath.includes(ownPubkey)) {
     return true;
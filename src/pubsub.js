@@ -0,0 +1,101 @@
+// src/pubsub.js
+// Topic patterns and local subscriptions for publish/subscribe (Bare-compatible)
+
+import { TopicError } from './types.js';
+
+// Topics are dot-separated segments such as "tasks.build.linux". In a
+// pattern, "*" matches exactly one segment and ">" (last segment only)
+// matches one or more remaining segments.
+const SEGMENT = /^[^.*>\s]+$/;
+
+export function isValidTopic(topic) {
+  return (
+    typeof topic === "string" &&
+    topic.split(".").every((segment) => SEGMENT.test(segment))
+  );
+}
+
+export function isValidPattern(pattern) {
+  if (typeof pattern !== "string") return false;
+
+  const segments = pattern.split(".");
+  return segments.every(
+    (segment, i) =>
+      SEGMENT.test(segment) ||
+      segment === "*" ||
+      (segment === ">" && i === segments.length - 1)
+  );
+}
+
+export function topicMatches(pattern, topic) {
+  const patternSegments = pattern.split(".");
+  const topicSegments = topic.split(".");
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i];
+
+    if (segment === ">") {
+      return topicSegments.length > i;
+    }
+    if (i >= topicSegments.length) return false;
+    if (segment !== "*" && segment !== topicSegments[i]) return false;
+  }
+
+  return patternSegments.length === topicSegments.length;
+}
+
+// Handlers grouped by pattern. add/remove report whether the set of
+// patterns changed, which is when peers need to hear about it.
+export class Subscriptions {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  add(pattern, handler) {
+    if (!isValidPattern(pattern)) {
+      throw new TopicError(pattern);
+    }
+
+    let handlers = this.handlers.get(pattern);
+    const added = !handlers;
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(pattern, handlers);
+    }
+    handlers.add(handler);
+    return added;
+  }
+
+  // Without a handler, drops every handler for the pattern
+  remove(pattern, handler) {
+    const handlers = this.handlers.get(pattern);
+    if (!handlers) return false;
+
+    if (handler !== undefined) {
+      handlers.delete(handler);
+      if (handlers.size > 0) return false;
+    }
+
+    this.handlers.delete(pattern);
+    return true;
+  }
+
+  patterns() {
+    return Array.from(this.handlers.keys());
+  }
+
+  // Each handler runs once per topic, even if several of its patterns match
+  match(topic) {
+    const matched = new Set();
+
+    for (const [pattern, handlers] of this.handlers) {
+      if (topicMatches(pattern, topic)) {
+        for (const handler of handlers) {
+          matched.add(handler);
+        }
+      }
+    }
+
+    return Array.from(matched);
+  }
+}
@@ -0,0 +1,78 @@
+// src/quality.js
+// Round-trip time, jitter and loss estimates from heartbeat echoes (Bare-compatible)
+
+const SRTT_GAIN = 1 / 8;
+const JITTER_GAIN = 1 / 16;
+const DEFAULT_LOSS_WINDOW = 20;
+
+// A heartbeat counts as lost if its echo has not arrived by the time the
+// next one goes out; echoes that arrive later are ignored. Loss is the
+// share of lost heartbeats among the last lossWindow.
+export class LinkQuality {
+  constructor(opts = {}) {
+    this.lossWindow = opts.lossWindow ?? DEFAULT_LOSS_WINDOW;
+    this.outstanding = new Map();
+    this.outcomes = [];
+    this.rtt = null;
+    this.srtt = null;
+    this.jitter = null;
+    this.samples = 0;
+  }
+
+  // Returns how many earlier heartbeats were given up on
+  sent(seq, now = Date.now()) {
+    const lost = this.outstanding.size;
+    for (let i = 0; i < lost; i++) {
+      this.record(false);
+    }
+    this.outstanding.clear();
+
+    this.outstanding.set(seq, now);
+    return lost;
+  }
+
+  // Returns the RTT sample in ms, or null for an unknown or late echo
+  echo(seq, now = Date.now()) {
+    const sentAt = this.outstanding.get(seq);
+    if (sentAt === undefined) return null;
+
+    this.outstanding.delete(seq);
+    this.record(true);
+
+    const rtt = Math.max(0, now - sentAt);
+    if (this.srtt === null) {
+      this.srtt = rtt;
+      this.jitter = 0;
+    } else {
+      // RFC 6298 smoothing, RFC 3550 interarrival jitter
+      this.srtt += SRTT_GAIN * (rtt - this.srtt);
+      this.jitter += JITTER_GAIN * (Math.abs(rtt - this.rtt) - this.jitter);
+    }
+    this.rtt = rtt;
+    this.samples++;
+    return rtt;
+  }
+
+  record(delivered) {
+    this.outcomes.push(delivered);
+    if (this.outcomes.length > this.lossWindow) {
+      this.outcomes.shift();
+    }
+  }
+
+  // Peers that never echo (older versions) report no loss rather than total loss
+  get loss() {
+    if (this.samples === 0 || this.outcomes.length === 0) return null;
+    return this.outcomes.filter((delivered) => !delivered).length / this.outcomes.length;
+  }
+
+  toJSON() {
+    return {
+      rtt: this.rtt,
+      srtt: this.srtt === null ? null : Math.round(this.srtt * 100) / 100,
+      jitter: this.jitter === null ? null : Math.round(this.jitter * 100) / 100,
+      loss: this.loss,
+      samples: this.samples,
+    };
+  }
+}
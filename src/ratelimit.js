@@ -0,0 +1,162 @@
+// src/ratelimit.js
+// Per-peer token buckets and escalating flood responses (Bare-compatible)
+
+const DEFAULT_LIMITS = {
+  frames: { rate: 200, burst: 400 },
+  bytes: { rate: 1024 * 1024, burst: 4 * 1024 * 1024 },
+  concurrentRequests: 32,
+  strikeInterval: 1000,
+  strikeWindow: 30000,
+  disconnectAfter: 5,
+  suspendDuration: 60000,
+  banAfter: 3,
+  banDuration: 24 * 60 * 60 * 1000,
+};
+
+// Refills continuously at rate tokens per second, holding at most burst.
+// A take larger than burst succeeds from a full bucket and leaves it in
+// debt, so oversized frames still pass at the average rate.
+export class TokenBucket {
+  constructor(opts) {
+    this.rate = opts.rate;
+    this.burst = opts.burst ?? opts.rate;
+    this.tokens = this.burst;
+    this.updatedAt = Date.now();
+  }
+
+  take(count = 1, now = Date.now()) {
+    this.tokens = Math.min(
+      this.burst,
+      this.tokens + (Math.max(0, now - this.updatedAt) / 1000) * this.rate
+    );
+    this.updatedAt = now;
+
+    if (this.tokens < Math.min(count, this.burst)) return false;
+    this.tokens -= count;
+    return true;
+  }
+}
+
+// Every breach is dropped, but at most one strike per strikeInterval is
+// counted, so a short burst costs one strike while a sustained flood keeps
+// adding them. disconnectAfter strikes within strikeWindow suspend the peer,
+// and banAfter suspensions ban it. State is in memory only, and prune()
+// forgets peers that have been idle for a strikeWindow since they were last
+// seen or last unblocked.
+export class RateLimiter {
+  constructor(opts = {}) {
+    this.opts = { ...DEFAULT_LIMITS, ...opts };
+    this.peers = new Map();
+  }
+
+  getPeer(pubkey, now = Date.now()) {
+    let state = this.peers.get(pubkey);
+    if (!state) {
+      state = {
+        frames: new TokenBucket(this.opts.frames),
+        bytes: new TokenBucket(this.opts.bytes),
+        active: 0,
+        strikes: [],
+        suspensions: 0,
+        blockedUntil: 0,
+        banned: false,
+        lastActive: now,
+      };
+      this.peers.set(pubkey, state);
+    }
+    state.lastActive = Math.max(state.lastActive, now);
+    return state;
+  }
+
+  // Returns the exceeded limit ("frames" or "bytes"), or null
+  checkFrame(pubkey, bytes, now = Date.now()) {
+    const state = this.getPeer(pubkey, now);
+    if (!state.frames.take(1, now)) return "frames";
+    if (!state.bytes.take(bytes, now)) return "bytes";
+    return null;
+  }
+
+  acquire(pubkey) {
+    const state = this.getPeer(pubkey);
+    if (state.active >= this.opts.concurrentRequests) return false;
+    state.active++;
+    return true;
+  }
+
+  release(pubkey) {
+    const state = this.peers.get(pubkey);
+    if (state && state.active > 0) state.active--;
+  }
+
+  // Returns { action, strikes, until } for a new strike, where action is
+  // "throttle", "suspend" or "ban", or null within strikeInterval of the last
+  strike(pubkey, now = Date.now()) {
+    const state = this.getPeer(pubkey, now);
+    const last = state.strikes[state.strikes.length - 1];
+    if (last !== undefined && now - last < this.opts.strikeInterval) return null;
+
+    state.strikes = state.strikes.filter((at) => now - at < this.opts.strikeWindow);
+    state.strikes.push(now);
+    const strikes = state.strikes.length;
+
+    if (strikes < this.opts.disconnectAfter) {
+      return { action: "throttle", strikes, until: null };
+    }
+
+    state.strikes = [];
+    state.suspensions++;
+
+    if (state.suspensions >= this.opts.banAfter) {
+      state.banned = true;
+      state.blockedUntil = now + this.opts.banDuration;
+      return { action: "ban", strikes, until: state.blockedUntil };
+    }
+
+    state.blockedUntil = now + this.opts.suspendDuration;
+    return { action: "suspend", strikes, until: state.blockedUntil };
+  }
+
+  // Returns { until, banned } while the peer may not connect, otherwise null
+  isBlocked(pubkey, now = Date.now()) {
+    const state = this.peers.get(pubkey);
+    if (!state || state.blockedUntil <= now) return null;
+    return { until: state.blockedUntil, banned: state.banned };
+  }
+
+  getBlocked(now = Date.now()) {
+    return Array.from(this.peers.keys())
+      .map((pubkey) => ({ pubkey, ...this.isBlocked(pubkey, now) }))
+      .filter((entry) => entry.until !== undefined);
+  }
+
+  // Drops peers with no requests in flight that have been neither seen nor
+  // blocked for strikeWindow. A suspension is remembered that long after it
+  // ends, so a peer that floods again right away still works towards a ban.
+  // Returns how many were dropped.
+  prune(now = Date.now()) {
+    let pruned = 0;
+
+    for (const [pubkey, state] of this.peers) {
+      const idleSince = Math.max(state.lastActive, state.blockedUntil);
+      if (state.active === 0 && now - idleSince > this.opts.strikeWindow) {
+        this.peers.delete(pubkey);
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  // Forgets every strike, suspension and ban of the peer
+  unban(pubkey) {
+    const state = this.peers.get(pubkey);
+    if (!state) return false;
+
+    const blocked = this.isBlocked(pubkey) !== null;
+    state.strikes = [];
+    state.suspensions = 0;
+    state.blockedUntil = 0;
+    state.banned = false;
+    return blocked;
+  }
+}
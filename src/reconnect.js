@@ -0,0 +1,84 @@
+// src/reconnect.js
+// Redials dropped peers with jittered exponential backoff (Bare-compatible)
+
+// Each attempt dials the peer and then waits for the next backoff delay. If
+// the peer has not come back by the time the last attempt's delay runs out,
+// we give up.
+export class Reconnector {
+  constructor(opts) {
+    this.dial = opts.dial;
+    this.abort = opts.abort;
+    this.onAttempt = opts.onAttempt;
+    this.onGiveUp = opts.onGiveUp;
+    this.maxAttempts = opts.maxAttempts ?? 10;
+    this.baseDelay = opts.baseDelay ?? 1000;
+    this.maxDelay = opts.maxDelay ?? 60000;
+
+    this.pending = new Map();
+  }
+
+  has(pubkey) {
+    return this.pending.has(pubkey);
+  }
+
+  start(pubkey) {
+    if (this.pending.has(pubkey)) return;
+
+    const state = { attempt: 0, timer: null, startedAt: Date.now() };
+    this.pending.set(pubkey, state);
+    this.schedule(pubkey, state);
+  }
+
+  schedule(pubkey, state) {
+    const delay = this.getDelay(state.attempt);
+
+    state.timer = setTimeout(() => {
+      if (state.attempt >= this.maxAttempts) {
+        this.pending.delete(pubkey);
+        this.abort(pubkey);
+        this.onGiveUp(pubkey, state.attempt);
+        return;
+      }
+
+      state.attempt++;
+      this.onAttempt(pubkey, state.attempt, this.maxAttempts);
+      this.dial(pubkey);
+      this.schedule(pubkey, state);
+    }, delay);
+  }
+
+  // Full jitter on the upper half keeps peers that dropped together from
+  // redialing in lockstep
+  getDelay(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+  }
+
+  // Returns how many attempts it took, or undefined if we were not waiting
+  // for this peer
+  connected(pubkey) {
+    const state = this.pending.get(pubkey);
+    if (!state) return undefined;
+
+    clearTimeout(state.timer);
+    this.pending.delete(pubkey);
+    this.abort(pubkey);
+    return state.attempt;
+  }
+
+  cancel(pubkey) {
+    const state = this.pending.get(pubkey);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.pending.delete(pubkey);
+    this.abort(pubkey);
+  }
+
+  destroy() {
+    for (const state of this.pending.values()) {
+      clearTimeout(state.timer);
+    }
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,39 @@
+// src/storage.js
+// Durable storage for trust state (Bare-compatible)
+
+import { StorageError } from './types.js';
+import { writeFileAtomic, readJSONFile } from './file.js';
+
+export const TRUST_STATE_VERSION = 1;
+
+// Stores the node's trust state as a single JSON document. Every save
+// replaces the file atomically, so a crash mid-write leaves the previous
+// state intact.
+export class TrustStore {
+  constructor(filename) {
+    this.filename = filename;
+  }
+
+  load() {
+    let state;
+    try {
+      state = readJSONFile(this.filename);
+    } catch (err) {
+      throw new StorageError(
+        `Cannot read ${this.filename}: ${err instanceof Error ? err.message : err}`
+      );
+    }
+
+    if (state && state.version !== TRUST_STATE_VERSION) {
+      throw new StorageError(`Unsupported trust state version: ${state.version}`);
+    }
+
+    return state;
+  }
+
+  save(state) {
+    writeFileAtomic(this.filename, JSON.stringify(state, null, 2), {
+      mode: 0o600,
+    });
+  }
+}
@@ -0,0 +1,193 @@
+// src/stream.js
+// Credit-based streaming over STREAM_DATA / STREAM_END frames (Bare-compatible)
+
+import { ProtocolError } from './types.js';
+
+// Consumer side of a stream. The producer may only send as many chunks as we
+// have granted credit for; credit is returned as chunks are consumed. A
+// producer that sends past its credit fails the stream and is cancelled.
+export class RemoteStream {
+  constructor(opts) {
+    this.id = opts.id;
+    this.highWaterMark = opts.highWaterMark ?? 16;
+    this.onCredit = opts.onCredit;
+    this.onCancel = opts.onCancel;
+
+    this.queue = [];
+    this.waiting = null;
+    this.ended = false;
+    this.error = null;
+    this.consumed = 0;
+    // Chunks the producer may still send before we grant more
+    this.credit = this.highWaterMark;
+  }
+
+  push(data) {
+    if (this.ended) return;
+
+    if (this.credit <= 0) {
+      this.queue = [];
+      this.end(new ProtocolError(`Stream ${this.id} sent data beyond its credit`));
+      this.onCancel();
+      return;
+    }
+    this.credit--;
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      this.consume();
+      resolve({ value: data, done: false });
+    } else {
+      this.queue.push(data);
+    }
+  }
+
+  end(err) {
+    if (this.ended) return;
+
+    this.ended = true;
+    this.error = err ?? null;
+
+    if (this.waiting) {
+      const { resolve, reject } = this.waiting;
+      this.waiting = null;
+      if (this.error) {
+        reject(this.error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  }
+
+  consume() {
+    this.consumed++;
+
+    if (this.consumed >= Math.ceil(this.highWaterMark / 2)) {
+      const credit = this.consumed;
+      this.consumed = 0;
+      this.credit += credit;
+      this.onCredit(credit);
+    }
+  }
+
+  next() {
+    if (this.queue.length > 0) {
+      const value = this.queue.shift();
+      if (!this.ended) this.consume();
+      return Promise.resolve({ value, done: false });
+    }
+
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+
+    if (this.ended) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  return() {
+    if (!this.ended) {
+      this.end();
+      this.onCancel();
+    }
+    this.queue = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+// Producer side of a stream. write() waits for credit from the consumer and
+// resolves to false once the stream is closed, either by us or by the
+// consumer cancelling it.
+export class StreamSink {
+  constructor(opts) {
+    this.id = opts.id;
+    this.credit = opts.credit ?? 16;
+    this.sendData = opts.sendData;
+    this.sendEnd = opts.sendEnd;
+    this.onClose = opts.onClose;
+
+    this.seq = 0;
+    this.closed = false;
+    this.cancelled = false;
+    this.creditWaiter = null;
+  }
+
+  async write(data) {
+    while (this.credit <= 0 && !this.closed) {
+      await new Promise((resolve) => {
+        this.creditWaiter = resolve;
+      });
+    }
+
+    if (this.closed) return false;
+
+    this.credit--;
+
+    try {
+      await this.sendData({ id: this.id, seq: this.seq++, data });
+      return true;
+    } catch {
+      this.close();
+      return false;
+    }
+  }
+
+  addCredit(credit) {
+    this.credit += credit;
+    this.wake();
+  }
+
+  async end() {
+    if (this.closed) return;
+    this.close();
+    await this.sendEnd({ id: this.id }).catch(() => {});
+  }
+
+  async error(error) {
+    if (this.closed) return;
+    this.close();
+    await this.sendEnd({ id: this.id, error }).catch(() => {});
+  }
+
+  cancel() {
+    if (this.closed) return;
+    this.cancelled = true;
+    this.close();
+  }
+
+  close() {
+    this.closed = true;
+    this.wake();
+    this.onClose();
+  }
+
+  wake() {
+    if (this.creditWaiter) {
+      const resolve = this.creditWaiter;
+      this.creditWaiter = null;
+      resolve();
+    }
+  }
+}
+
+// Strings, Buffers and typed arrays are single values, not streams of chunks
+export function isIterable(value) {
+  return (
+    value != null &&
+    typeof value !== "string" &&
+    !ArrayBuffer.isView(value) &&
+    !(value instanceof ArrayBuffer) &&
+    (typeof value[Symbol.asyncIterator] === "function" ||
+      typeof value[Symbol.iterator] === "function")
+  );
+}
@@ -0,0 +1,135 @@
+// src/tracing.js
+// Trace and span context for correlating RPC calls across agents (Bare-compatible)
+
+import fs from 'bare-fs';
+import crypto from 'hypercore-crypto';
+
+// Trace context travels as { traceId, spanId }, with W3C Trace Context sizes:
+// 16-byte trace IDs and 8-byte span IDs, hex encoded.
+export function isTraceContext(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.traceId === "string" &&
+    /^[0-9a-f]{32}$/.test(value.traceId) &&
+    typeof value.spanId === "string" &&
+    /^[0-9a-f]{16}$/.test(value.spanId)
+  );
+}
+
+export class Span {
+  constructor(tracer, name, opts = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = opts.kind ?? "internal";
+    this.traceId = opts.parent?.traceId ?? crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentSpanId = opts.parent?.spanId ?? null;
+    this.attributes = { ...opts.attributes };
+    this.startTime = Date.now();
+    this.endTime = null;
+    this.error = null;
+  }
+
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+  }
+
+  // Ending twice is a no-op, so error paths can end unconditionally
+  end(error) {
+    if (this.endTime !== null) return;
+
+    this.endTime = Date.now();
+    if (error !== undefined && error !== null) {
+      this.error = error instanceof Error ? error.message : String(error?.message ?? error);
+    }
+    this.tracer.export(this);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      node: this.tracer.node,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      duration: this.endTime === null ? null : this.endTime - this.startTime,
+      status: this.error === null ? "ok" : "error",
+      error: this.error,
+      attributes: this.attributes,
+    };
+  }
+}
+
+// Hands finished spans to every exporter. Exporters are called with the
+// span's JSON form; their errors go to onError rather than the caller.
+export class Tracer {
+  constructor(opts = {}) {
+    this.node = opts.node;
+    this.onError = opts.onError ?? (() => {});
+    this.exporters = new Set(opts.exporters ?? []);
+  }
+
+  startSpan(name, opts) {
+    return new Span(this, name, opts);
+  }
+
+  // Returns a function that removes the exporter again
+  addExporter(exporter) {
+    this.exporters.add(exporter);
+    return () => this.exporters.delete(exporter);
+  }
+
+  export(span) {
+    const data = span.toJSON();
+
+    for (const exporter of this.exporters) {
+      try {
+        exporter(data);
+      } catch (err) {
+        this.onError(err);
+      }
+    }
+  }
+}
+
+// One span per line. Lines are appended asynchronously; spans that finish
+// while a write is in flight are batched into the next one. flush() resolves
+// once everything exported so far is on disk.
+export function createJsonLinesExporter(filename, opts = {}) {
+  const onError = opts.onError ?? (() => {});
+  let buffered = "";
+  let writing = null;
+
+  const flush = () => {
+    if (!writing && buffered) {
+      const data = buffered;
+      buffered = "";
+
+      writing = new Promise((resolve) => {
+        fs.appendFile(filename, data, (err) => {
+          if (err) onError(err);
+          resolve();
+        });
+      }).then(() => {
+        writing = null;
+        return flush();
+      });
+    }
+    return writing ?? Promise.resolve();
+  };
+
+  const exporter = (span) => {
+    buffered += JSON.stringify(span) + "\n";
+    flush();
+  };
+  exporter.flush = flush;
+  return exporter;
+}
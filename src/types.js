@@ -10,6 +10,9 @@ export const MessageType = {
   STREAM_DATA: 0x05,
   STREAM_END: 0x06,
   INTRODUCE: 0x07,
+  REVOKE: 0x08,
+  PUBLISH: 0x09,
+  RELAY: 0x0a,
 };
 
 // Message Flags
@@ -17,13 +20,39 @@ export const MessageFlags = {
   ENCRYPTED: 0x01,
   COMPRESSED: 0x02,
   URGENT: 0x04,
+  BINARY: 0x08,
+  // EVENT payload is an { id, payload } envelope that must be acknowledged
+  RELIABLE: 0x10,
+  // EVENT payload is an { id?, trace, payload } envelope carrying trace context
+  TRACED: 0x20,
+};
+
+// RPC error codes (JSON-RPC 2.0 numbering)
+export const RPCErrorCode = {
+  FORBIDDEN: -32003,
+  RATE_LIMITED: -32029,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
 };
 
 // Protocol constants
 export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+// Capabilities frames always use the version 1 layout so that any peer can
+// read the version range of any other peer, even with no version in common.
+export const HANDSHAKE_PROTOCOL_VERSION = 1;
 export const HEADER_SIZE = 52;
 export const SIGNATURE_SIZE = 64;
 export const PUBLIC_KEY_SIZE = 32;
+export const DEFAULT_MAX_FRAME_SIZE = 16 * 1024 * 1024;
+export const DEFAULT_COMPRESSION_THRESHOLD = 1024;
+export const DEFAULT_REPLAY_WINDOW = 5 * 60 * 1000;
+export const DEFAULT_OUTBOX_TTL = 24 * 60 * 60 * 1000;
+export const DEFAULT_OUTBOX_MAX_PER_PEER = 1000;
+export const DEFAULT_ACK_TIMEOUT = 5000;
+export const DEFAULT_RELIABLE_MAX_RETRIES = 5;
+export const DEFAULT_DEDUP_WINDOW = 60 * 60 * 1000;
+export const DEFAULT_RELAY_MAX_HOPS = 3;
 
 // Error Classes
 export class AroniaError extends Error {
@@ -57,6 +86,61 @@ export class ProtocolError extends AroniaError {
   }
 }
 
+export class ReplayError extends AroniaError {
+  constructor(message) {
+    super(`Replay rejected: ${message}`);
+  }
+}
+
+export class KeystoreError extends AroniaError {
+  constructor(message) {
+    super(`Keystore error: ${message}`);
+  }
+}
+
+export class StorageError extends AroniaError {
+  constructor(message) {
+    super(`Storage error: ${message}`);
+  }
+}
+
+export class DeliveryError extends AroniaError {
+  constructor(id, attempts) {
+    super(`Message ${id} was not acknowledged after ${attempts} attempts`);
+    this.id = id;
+    this.attempts = attempts;
+  }
+}
+
+export class OutboxError extends AroniaError {
+  constructor(message) {
+    super(`Outbox error: ${message}`);
+  }
+}
+
+// An error returned by the remote side of an RPC call
+export class RemoteError extends AroniaError {
+  constructor(error) {
+    super(error.message);
+    this.code = error.code;
+  }
+}
+
+// Thrown by middleware or handlers to answer a request with a specific code
+export class RPCError extends AroniaError {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export class TopicError extends AroniaError {
+  constructor(topic) {
+    super(`Invalid topic: ${topic}`);
+    this.topic = topic;
+  }
+}
+
 export class IntroductionError extends AroniaError {
   constructor(message) {
     super(`Introduction failed: ${message}`);
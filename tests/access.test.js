@@ -0,0 +1,100 @@
+// tests/access.test.js
+// Unit tests for per-method access control (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { RPCErrorCode, RemoteError } from '../src/types.js';
+import { createNode, connectNodes, hex } from './helpers.js';
+
+const operator = 'a'.repeat(64);
+const thirdParty = 'b'.repeat(64);
+
+function call(node, pubkey, method, params) {
+  return new Promise((resolve) => {
+    node.handleRPCRequest({ id: '1', method, params }, { pubkey }, resolve);
+  });
+}
+
+test('methods without a policy are open to every peer', async (t) => {
+  const node = createNode(t);
+  node.registerMethod('status', async () => 'ok');
+
+  t.is((await call(node, thirdParty, 'status')).result, 'ok');
+});
+
+test('policies allow by pubkey, role or predicate', async (t) => {
+  const node = createNode(t, { roles: { [operator]: ['operator'] } });
+
+  node.registerMethod('restart', async () => 'restarting', { roles: ['operator'] });
+  node.registerMethod('audit', async () => 'log', { pubkeys: [thirdParty] });
+  node.registerMethod('read', async (params) => params.key, {
+    allow: (pubkey, request) => request.params.key.startsWith('public/'),
+  });
+
+  t.is((await call(node, operator, 'restart')).result, 'restarting');
+  t.is((await call(node, thirdParty, 'restart')).error.code, RPCErrorCode.FORBIDDEN);
+
+  t.is((await call(node, thirdParty, 'audit')).result, 'log');
+  t.is((await call(node, operator, 'audit')).error.code, RPCErrorCode.FORBIDDEN);
+
+  t.is((await call(node, thirdParty, 'read', { key: 'public/a' })).result, 'public/a');
+  t.is(
+    (await call(node, thirdParty, 'read', { key: 'secret/a' })).error.code,
+    RPCErrorCode.FORBIDDEN
+  );
+
+  node.assignRole(thirdParty, 'operator');
+  t.is((await call(node, thirdParty, 'restart')).result, 'restarting');
+
+  t.is((await call(node, thirdParty, 'missing')).error.code, RPCErrorCode.METHOD_NOT_FOUND);
+});
+
+test('roles are part of the exported trust state', async (t) => {
+  const source = createNode(t);
+  source.assignRole(operator, 'operator');
+  source.assignRole(operator, 'billing');
+  source.removeRole(operator, 'billing');
+
+  const target = createNode(t);
+  target.importTrustState(JSON.parse(JSON.stringify(source.exportTrustState())));
+
+  t.alike(target.getRoles(operator), ['operator']);
+  t.alike(target.getRoles(thirdParty), []);
+});
+
+test('remote callers are held to method policies', async (t) => {
+  const server = createNode(t);
+  const operatorNode = createNode(t);
+  const stranger = createNode(t);
+  await connectNodes(t, operatorNode, server);
+  await connectNodes(t, stranger, server);
+
+  server.assignRole(hex(operatorNode), 'operator');
+  server.registerMethod('restart', async () => 'restarting', { roles: ['operator'] });
+  server.registerMethod('tail', async function* () {
+    yield 'line 1';
+  }, { roles: ['operator'] });
+
+  t.is(await operatorNode.request(hex(server), 'restart', {}), 'restarting');
+  try {
+    await stranger.request(hex(server), 'restart', {});
+    t.fail('request should fail');
+  } catch (err) {
+    t.ok(err instanceof RemoteError);
+    t.is(err.code, RPCErrorCode.FORBIDDEN);
+  }
+
+  const lines = [];
+  for await (const line of operatorNode.openStream(hex(server), 'tail', {})) {
+    lines.push(line);
+  }
+  t.alike(lines, ['line 1']);
+
+  try {
+    for await (const line of stranger.openStream(hex(server), 'tail', {})) {
+      t.fail(`unexpected ${line}`);
+    }
+    t.fail('stream should fail');
+  } catch (err) {
+    t.is(err.code, RPCErrorCode.FORBIDDEN);
+  }
+});
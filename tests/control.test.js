@@ -0,0 +1,78 @@
+// tests/control.test.js
+// Unit tests for the local control socket (Bare-compatible with brittle)
+
+import test from 'brittle';
+import fs from 'bare-fs';
+import path from 'bare-path';
+import Pipe from 'bare-pipe';
+import { ControlServer, callControl } from '../src/control.js';
+import { AroniaError } from '../src/types.js';
+import { createNode, tmpFile, hex } from './helpers.js';
+
+async function createControl(t) {
+  const socketPath = tmpFile(t, 'control.sock');
+  const control = new ControlServer(createNode(t));
+  await control.listen(socketPath);
+  t.teardown(() => control.close());
+  return { control, socketPath };
+}
+
+test('commands answer over the socket', async (t) => {
+  const { control, socketPath } = await createControl(t);
+
+  t.is(fs.statSync(socketPath).mode & 0o777, 0o600);
+  t.alike(fs.readdirSync(path.dirname(socketPath)), ['control.sock']);
+
+  t.alike(await callControl(socketPath, 'ping'), { pong: true });
+  t.is((await callControl(socketPath, 'identity')).pubkey, hex(control.node));
+
+  await t.exception(callControl(socketPath, 'nope'), /Unknown command: nope/);
+
+  control.registerCommand('explode', async () => {
+    throw new Error('boom');
+  });
+  try {
+    await callControl(socketPath, 'explode');
+    t.fail('command should fail');
+  } catch (err) {
+    t.ok(err instanceof AroniaError);
+    t.is(err.message, 'boom');
+  }
+
+  // Results JSON cannot hold are reported rather than crashing the server
+  control.registerCommand('binary', async () => ({ v: new BigInt64Array([1n]) }));
+  await t.exception(callControl(socketPath, 'binary'), /BigInt/);
+  t.alike(await callControl(socketPath, 'ping'), { pong: true });
+
+  // A second node refuses to take over a live socket
+  await t.exception(new ControlServer(control.node).listen(socketPath), /already listening/);
+});
+
+test('calls fail when the server closes without answering', async (t) => {
+  const { control, socketPath } = await createControl(t);
+
+  control.registerCommand('hang', () => new Promise(() => {}));
+  const pending = t.exception(callControl(socketPath, 'hang'), /closed without a response/);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await control.close();
+  await pending;
+  t.absent(fs.existsSync(socketPath));
+
+  // A server that reads the request and hangs up without answering
+  const server = Pipe.createServer((socket) => socket.on('data', () => socket.end()));
+  t.teardown(() => new Promise((resolve) => server.close(resolve)));
+  await new Promise((resolve) => server.listen(socketPath, resolve));
+
+  await t.exception(callControl(socketPath, 'ping'), AroniaError);
+});
+
+test('stale sockets are replaced', async (t) => {
+  const socketPath = tmpFile(t, 'control.sock');
+  fs.writeFileSync(socketPath, '');
+
+  const control = new ControlServer(createNode(t));
+  await control.listen(socketPath);
+  t.teardown(() => control.close());
+
+  t.alike(await callControl(socketPath, 'ping'), { pong: true });
+});
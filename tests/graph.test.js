@@ -0,0 +1,163 @@
+// tests/graph.test.js
+// Unit tests for the trust graph (Bare-compatible with brittle)
+
+import test from 'brittle';
+import crypto from 'hypercore-crypto';
+import { TrustGraph } from '../src/graph.js';
+import { createNode, connectNodes, nextEvent, hex } from './helpers.js';
+
+const self = 'a'.repeat(64);
+const alice = 'b'.repeat(64);
+const bob = 'c'.repeat(64);
+const carol = 'd'.repeat(64);
+const dave = 'e'.repeat(64);
+
+function createGraph() {
+  return new TrustGraph({
+    self,
+    whitelist: new Set([alice, bob, carol]),
+    provenance: new Map([
+      [alice, { introducerPubkey: null, trustPath: [], addedAt: 1000 }],
+      [bob, { introducerPubkey: alice, trustPath: [alice], addedAt: 2000 }],
+      [carol, { introducerPubkey: bob, trustPath: [dave, bob], addedAt: 3000 }],
+    ]),
+    autoAcceptFrom: new Set([alice]),
+    pendingIntroductions: [
+      { pubkey: dave, introducerPubkey: alice, trustPath: [alice], receivedAt: 4000 },
+    ],
+  });
+}
+
+test('explain trust back to a manual approval', (t) => {
+  const graph = createGraph();
+
+  const reason = graph.whyTrusted(carol);
+  t.ok(reason.anchored);
+  t.alike(reason.path.map((edge) => edge.to), [alice, bob, carol]);
+  t.is(reason.path[0].type, 'manual');
+
+  t.is(graph.whyTrusted(dave), null);
+  t.alike(graph.getIntroducedBy(alice), [bob]);
+  t.alike(graph.getIntroducedBy(bob), [carol]);
+});
+
+test('report a chain whose introducer lost trust', (t) => {
+  const graph = new TrustGraph({
+    self,
+    whitelist: new Set([bob]),
+    provenance: new Map([
+      [bob, { introducerPubkey: alice, trustPath: [alice], addedAt: 2000 }],
+    ]),
+    autoAcceptFrom: new Set(),
+    pendingIntroductions: [],
+  });
+
+  const reason = graph.whyTrusted(bob);
+  t.absent(reason.anchored);
+  t.is(reason.path.length, 1);
+});
+
+test('export to JSON and DOT', (t) => {
+  const graph = createGraph();
+
+  const json = JSON.parse(JSON.stringify(graph));
+  t.is(json.self, self);
+  t.is(json.edges.length, 4);
+  t.ok(json.nodes.find((node) => node.pubkey === alice).autoAccept);
+
+  const dot = graph.toDOT();
+  t.ok(dot.startsWith('digraph trust {'));
+  t.ok(dot.includes(`"${alice}" -> "${bob}" [label="introduced"`));
+  t.ok(dot.includes(`"${alice}" -> "${dave}" [label="pending", style=dashed`));
+});
+
+test('introductions received over the wire extend the graph', async (t) => {
+  const introducer = createNode(t);
+  const node = createNode(t);
+  await connectNodes(t, introducer, node);
+
+  const target = crypto.keyPair().publicKey.toString('hex');
+  const received = nextEvent(node, 'introduction:received');
+  await introducer.introduce(hex(node), target, 'carol', {
+    agent: 'aronia',
+    version: '0.1.0',
+    accepts: [],
+  });
+  const [intro] = await received;
+  t.is(intro.introducerPubkey, hex(introducer));
+
+  await node.acceptIntroduction(target);
+
+  const reason = node.whyTrusted(target);
+  t.ok(reason.anchored);
+  t.alike(reason.path.map((edge) => edge.to), [hex(introducer), target]);
+  t.alike(node.getIntroducedBy(hex(introducer)), [target]);
+});
+
+// Records the explicit peers a node joins and leaves instead of dialling them
+function stubDials(node) {
+  const dials = { joined: [], left: [] };
+  node.swarm.joinPeer = (key) => dials.joined.push(key.toString('hex'));
+  node.swarm.leavePeer = (key) => dials.left.push(key.toString('hex'));
+  return dials;
+}
+
+const capabilities = { agent: 'aronia', version: '0.1.0', accepts: [] };
+
+test('both sides of an introduction dial each other once they accept', async (t) => {
+  const introducer = createNode(t);
+  const alice = createNode(t);
+  const bob = createNode(t);
+  await connectNodes(t, introducer, alice);
+  await connectNodes(t, introducer, bob);
+  const aliceDials = stubDials(alice);
+  const bobDials = stubDials(bob);
+
+  const aliceReceived = nextEvent(alice, 'introduction:received');
+  const bobReceived = nextEvent(bob, 'introduction:received');
+  const result = await introducer.introduce(hex(alice), hex(bob), 'bob', capabilities);
+  t.alike(result, { targetNotified: true });
+  t.is((await aliceReceived)[0].pubkey, hex(bob));
+  t.is((await bobReceived)[0].pubkey, hex(alice));
+
+  await alice.acceptIntroduction(hex(bob));
+  await bob.acceptIntroduction(hex(alice));
+  t.alike(aliceDials.joined, [hex(bob)]);
+  t.alike(bobDials.joined, [hex(alice)]);
+
+  const connected = nextEvent(alice, 'introduction:connected');
+  await connectNodes(t, alice, bob, { whitelist: false });
+  t.alike(await connected, [hex(bob), hex(introducer)]);
+
+  // Once connected the peer is no longer dialled explicitly
+  t.alike(aliceDials.left, [hex(bob)]);
+  t.alike(bobDials.left, [hex(alice)]);
+
+  alice.removeFromWhitelist(hex(bob));
+  t.alike(aliceDials.left, [hex(bob), hex(bob)]);
+});
+
+test('introduction dials give up after the connect timeout', async (t) => {
+  const introducer = createNode(t);
+  const node = createNode(t, { introductionConnectTimeout: 50 });
+  await connectNodes(t, introducer, node);
+  const dials = stubDials(node);
+
+  const target = crypto.keyPair().publicKey.toString('hex');
+  const received = nextEvent(node, 'introduction:received');
+  const result = await introducer.introduce(hex(node), target, 'carol', capabilities);
+  t.alike(result, { targetNotified: false });
+  await received;
+
+  const failed = nextEvent(node, 'introduction:failed');
+  await node.acceptIntroduction(target);
+  t.alike(dials.joined, [target]);
+
+  t.alike(await failed, [target, 'No connection within 50ms']);
+  t.alike(dials.left, [target]);
+
+  // The peer is still trusted, and removing it leaves it again
+  t.ok(node.isWhitelisted(target));
+  node.removeFromWhitelist(target);
+  t.alike(dials.left, [target, target]);
+});
@@ -0,0 +1,123 @@
+// tests/helpers.js
+// Shared fixtures for node tests (Bare-compatible with brittle)
+
+import fs from 'bare-fs';
+import os from 'bare-os';
+import path from 'bare-path';
+import Pipe from 'bare-pipe';
+import crypto from 'hypercore-crypto';
+import NoiseSecretStream from '@hyperswarm/secret-stream';
+import { AroniaNode } from '../src/node.js';
+
+export const hex = (node) => node.keyPair.publicKey.toString('hex');
+
+// A node that never touches the DHT, stopped when the test ends
+export function createNode(t, opts = {}) {
+  const node = new AroniaNode({
+    keyPair: crypto.keyPair(),
+    topic: 'aronia-test',
+    bootstrap: [],
+    ...opts,
+  });
+  t.teardown(() => node.stop());
+  return node;
+}
+
+// A path in a fresh directory that is removed when the test ends
+export function tmpFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aronia-test-'));
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+// A connected peer that records what the node sends it. Fields override the
+// defaults, e.g. subscriptions, topics or a request stub.
+export function createPeer(pubkey, fields = {}) {
+  return {
+    pubkey,
+    online: true,
+    destroyed: false,
+    sent: [],
+    controls: [],
+    published: [],
+    announced: [],
+    relayed: [],
+    async sendReliable(id, message) {
+      this.sent.push({ id, message });
+    },
+    async sendControl(msg) {
+      this.controls.push(msg);
+    },
+    async publish(topic, data) {
+      this.published.push([topic, data]);
+    },
+    async sendSubscriptions(patterns) {
+      this.announced.push(patterns);
+    },
+    async sendRelay(envelope) {
+      this.relayed.push(envelope);
+    },
+    destroy() {
+      this.destroyed = true;
+    },
+    ...fields,
+  };
+}
+
+// Resolves with the arguments of the next matching event
+export function nextEvent(emitter, name, filter = () => true) {
+  return new Promise((resolve) => {
+    const listener = (...args) => {
+      if (!filter(...args)) return;
+      emitter.off(name, listener);
+      resolve(args);
+    };
+    emitter.on(name, listener);
+  });
+}
+
+// Two Noise streams over a local pipe, as Hyperswarm would hand them over
+export async function createStreamPair(t, a, b) {
+  const socketPath = path.join(
+    os.tmpdir(),
+    `aronia-test-${crypto.randomBytes(8).toString('hex')}.sock`
+  );
+  const server = Pipe.createServer();
+  t.teardown(() => new Promise((resolve) => server.close(resolve)));
+
+  const accepted = new Promise((resolve) => server.once('connection', resolve));
+  await new Promise((resolve) => server.listen(socketPath, resolve));
+
+  const initiator = new NoiseSecretStream(true, Pipe.createConnection(socketPath), {
+    keyPair: a,
+  });
+  const responder = new NoiseSecretStream(false, await accepted, { keyPair: b });
+
+  await Promise.all([initiator.opened, responder.opened]);
+  return [initiator, responder];
+}
+
+// Connects two nodes over a real stream and waits until both have exchanged
+// capabilities. Each side is whitelisted on the other unless whitelist is
+// false.
+export async function connectNodes(t, a, b, opts = {}) {
+  if (opts.whitelist !== false) {
+    a.addToWhitelist(hex(b));
+    b.addToWhitelist(hex(a));
+  }
+
+  const negotiated = (node, remote) =>
+    nextEvent(
+      node,
+      'peer:connected',
+      (info) => info.pubkey === remote && info.capabilities.agent !== 'unknown'
+    );
+  const ready = Promise.all([negotiated(a, hex(b)), negotiated(b, hex(a))]);
+
+  const [streamA, streamB] = await createStreamPair(t, a.keyPair, b.keyPair);
+  a.handleConnection(streamA, {});
+  b.handleConnection(streamB, {});
+
+  await ready;
+  return [streamA, streamB];
+}
@@ -0,0 +1,82 @@
+// tests/keystore.test.js
+// Unit tests for the identity keystore (Bare-compatible with brittle)
+
+import test from 'brittle';
+import fs from 'bare-fs';
+import crypto from 'hypercore-crypto';
+import {
+  openKeystore,
+  loadKeyPair,
+  exportKeyPair,
+  importKeyPair,
+  deriveKeyPair,
+} from '../src/keystore.js';
+import { KeystoreError } from '../src/types.js';
+import { tmpFile } from './helpers.js';
+
+test('keystore creates an identity once and reloads it', (t) => {
+  const filename = tmpFile(t, 'identity.json');
+
+  const created = openKeystore(filename, { passphrase: 'hunter2' });
+  const reopened = openKeystore(filename, { passphrase: 'hunter2' });
+
+  t.is(reopened.publicKey.toString('hex'), created.publicKey.toString('hex'));
+  t.is(reopened.secretKey.toString('hex'), created.secretKey.toString('hex'));
+
+  const stored = fs.readFileSync(filename, 'utf-8');
+  t.absent(stored.includes(created.secretKey.toString('hex')));
+});
+
+test('keystore rejects a wrong passphrase', (t) => {
+  const filename = tmpFile(t, 'identity.json');
+  openKeystore(filename, { passphrase: 'correct' });
+
+  t.exception(() => loadKeyPair(filename, 'wrong'), KeystoreError);
+});
+
+test('export and import round-trip', (t) => {
+  const keyPair = crypto.keyPair();
+  const exported = exportKeyPair(keyPair, 'secret');
+  const imported = importKeyPair(JSON.parse(JSON.stringify(exported)), 'secret');
+
+  t.is(imported.secretKey.toString('hex'), keyPair.secretKey.toString('hex'));
+  t.is(imported.publicKey.toString('hex'), keyPair.publicKey.toString('hex'));
+});
+
+test('corrupted keystore files fail with a keystore error', (t) => {
+  const exported = exportKeyPair(crypto.keyPair(), 'secret');
+  const corrupt = (change) => {
+    const data = JSON.parse(JSON.stringify(exported));
+    change(data);
+    return () => importKeyPair(data, 'secret');
+  };
+
+  t.exception(corrupt((data) => (data.secretKey = data.secretKey.slice(0, 20))), KeystoreError);
+  t.exception(corrupt((data) => (data.secretKey = '')), /invalid secret key/);
+  t.exception(corrupt((data) => (data.nonce = data.nonce.slice(2))), /invalid nonce/);
+  t.exception(corrupt((data) => (data.kdf.salt = 'zz')), /invalid salt/);
+  t.exception(corrupt((data) => (data.publicKey = undefined)), /invalid public key/);
+  t.exception(corrupt((data) => (data.kdf.memlimit = -1)), /invalid memlimit/);
+
+  const filename = tmpFile(t, 'identity.json');
+  const stored = JSON.stringify(exported);
+  fs.writeFileSync(filename, stored.slice(0, stored.length / 2));
+  t.exception(() => loadKeyPair(filename, 'secret'), /Keystore error: Cannot read/);
+  t.exception(() => openKeystore(filename, { passphrase: 'secret' }), KeystoreError);
+
+  fs.writeFileSync(filename, 'null');
+  t.exception(() => loadKeyPair(filename, 'secret'), /does not hold a keystore/);
+});
+
+test('derive the same identity from the same seed', (t) => {
+  const seed = 'ab'.repeat(32);
+  const first = deriveKeyPair(seed);
+  const second = deriveKeyPair(seed);
+
+  t.alike(first.publicKey, second.publicKey);
+  t.exception(() => deriveKeyPair('abcd'), /Seed must be 32 bytes/);
+
+  const filename = tmpFile(t, 'identity.json');
+  const stored = openKeystore(filename, { passphrase: 'pw', seed });
+  t.alike(stored.publicKey, first.publicKey);
+});
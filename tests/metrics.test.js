@@ -0,0 +1,125 @@
+// tests/metrics.test.js
+// Unit tests for the metrics registry and exporter format (Bare-compatible with brittle)
+
+import test from 'brittle';
+import Buffer from 'bare-buffer';
+import { Metrics, toPrometheus } from '../src/metrics.js';
+import { RequestTimeoutError } from '../src/types.js';
+import { createNode, createPeer, connectNodes, hex } from './helpers.js';
+
+const remote = 'a'.repeat(64);
+
+test('counters and histograms keep one series per label set', (t) => {
+  const metrics = new Metrics();
+  metrics.define('requests_total', 'counter', 'Requests');
+  metrics.define('latency_seconds', 'histogram', 'Latency', { buckets: [0.1, 1] });
+
+  metrics.inc('requests_total', { method: 'a', status: 'ok' });
+  metrics.inc('requests_total', { status: 'ok', method: 'a' }, 2);
+  metrics.inc('requests_total', { method: 'b', status: 'ok' });
+  metrics.observe('latency_seconds', {}, 0.05);
+  metrics.observe('latency_seconds', {}, 0.5);
+  metrics.observe('latency_seconds', {}, 5);
+
+  const [requests, latency] = metrics.toJSON();
+  t.alike(requests.series.map((series) => series.value), [3, 1]);
+  t.alike(latency.series[0].buckets, [{ le: 0.1, count: 1 }, { le: 1, count: 2 }]);
+  t.is(latency.series[0].count, 3);
+
+  t.exception(() => metrics.inc('missing_total'), /Unknown metric/);
+
+  metrics.remove('requests_total', { method: 'a' });
+  t.alike(metrics.toJSON()[0].series, [{ labels: { method: 'b', status: 'ok' }, value: 1 }]);
+});
+
+test('exports the Prometheus text format', (t) => {
+  const metrics = new Metrics();
+  metrics.define('frames_total', 'counter', 'Frames');
+  metrics.define('latency_seconds', 'histogram', 'Latency', { buckets: [1] });
+  metrics.inc('frames_total', { peer: 'say "hi"\n' });
+  metrics.observe('latency_seconds', { method: 'ping' }, 0.25);
+
+  t.is(
+    toPrometheus(metrics.toJSON()),
+    [
+      '# HELP frames_total Frames',
+      '# TYPE frames_total counter',
+      'frames_total{peer="say \\"hi\\"\\n"} 1',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{method="ping",le="1"} 1',
+      'latency_seconds_bucket{method="ping",le="+Inf"} 1',
+      'latency_seconds_sum{method="ping"} 0.25',
+      'latency_seconds_count{method="ping"} 1',
+      '',
+    ].join('\n')
+  );
+});
+
+test('node records request outcomes and samples queue depth', async (t) => {
+  const node = createNode(t);
+
+  node.peers.set(
+    remote,
+    createPeer(remote, {
+      writeQueue: [Buffer.alloc(1)],
+      pendingRequests: new Map([['1', {}]]),
+      async request(method) {
+        if (method === 'slow') throw new RequestTimeoutError('2', 10);
+        return 'ok';
+      },
+    })
+  );
+
+  await node.request(remote, 'ping', {});
+  await t.exception(node.request(remote, 'slow', {}), RequestTimeoutError);
+
+  const families = new Map(node.getMetrics().map((family) => [family.name, family]));
+  const values = (name) =>
+    families.get(name).series.map((series) => [series.labels, series.value]);
+
+  t.alike(values('aronia_requests_total'), [
+    [{ method: 'ping', status: 'ok' }, 1],
+    [{ method: 'slow', status: 'timeout' }, 1],
+  ]);
+  t.alike(values('aronia_timeouts_total'), [[{ kind: 'request' }, 1]]);
+  t.is(families.get('aronia_request_duration_seconds').series.length, 1);
+  t.alike(values('aronia_peers'), [[{ state: 'online' }, 1], [{ state: 'offline' }, 0]]);
+  t.alike(values('aronia_write_queue_frames'), [[{}, 1]]);
+  t.alike(values('aronia_pending_requests'), [[{}, 1]]);
+
+  t.ok(node.getMetricsText().includes('aronia_requests_total{method="ping",status="ok"} 1'));
+});
+
+test('frames and requests over the wire are counted on both sides', async (t) => {
+  const client = createNode(t);
+  const server = createNode(t);
+  await connectNodes(t, client, server);
+
+  for (let i = 0; i < 3; i++) {
+    await client.request(hex(server), 'ping', {});
+  }
+
+  const value = (node, name, labels) => {
+    const family = node.getMetrics().find((family) => family.name === name);
+    const series = family.series.find((series) =>
+      Object.entries(labels).every(([key, value]) => series.labels[key] === value)
+    );
+    return series?.value;
+  };
+
+  t.is(value(client, 'aronia_requests_total', { method: 'ping', status: 'ok' }), 3);
+  t.is(value(client, 'aronia_frames_total', { direction: 'out', type: 'request' }), 3);
+  t.is(value(client, 'aronia_frames_total', { direction: 'in', type: 'response' }), 3);
+  t.is(value(server, 'aronia_frames_total', { direction: 'in', type: 'request' }), 3);
+  t.is(value(server, 'aronia_frames_total', { direction: 'out', type: 'response' }), 3);
+  t.ok(value(server, 'aronia_peer_frames_total', { direction: 'in', peer: hex(client) }) >= 4);
+  t.ok(value(server, 'aronia_frame_bytes_total', { direction: 'in', type: 'request' }) > 0);
+  t.is(value(server, 'aronia_peers', { state: 'online' }), 1);
+
+  // Per-peer series are dropped along with the peer
+  server.removeFromWhitelist(hex(client));
+  t.is(value(server, 'aronia_peer_frames_total', { peer: hex(client) }), undefined);
+  t.is(value(server, 'aronia_peer_frame_bytes_total', { peer: hex(client) }), undefined);
+  t.ok(value(server, 'aronia_frames_total', { direction: 'in', type: 'request' }) >= 3);
+});
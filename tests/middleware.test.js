@@ -0,0 +1,192 @@
+// tests/middleware.test.js
+// Unit tests for RPC middleware (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { RPCError, RPCErrorCode, RemoteError } from '../src/types.js';
+import { createNode, createPeer, connectNodes, hex } from './helpers.js';
+
+const caller = 'a'.repeat(64);
+const worker = 'b'.repeat(64);
+
+function call(node, method, params) {
+  return new Promise((resolve) => {
+    node.handleRPCRequest({ id: '1', method, params }, { pubkey: caller }, resolve);
+  });
+}
+
+test('middleware wraps handlers in the order it was added', async (t) => {
+  const node = createNode(t);
+  const order = [];
+
+  node.registerMethod('add', async ({ a, b }) => {
+    order.push('handler');
+    return a + b;
+  });
+
+  node.use(async (ctx, next) => {
+    order.push('outer:in');
+    await next();
+    order.push('outer:out');
+    ctx.result = { sum: ctx.result, peer: ctx.peer.pubkey };
+  });
+  node.use(async (ctx, next) => {
+    order.push('inner:in');
+    ctx.params = { ...ctx.params, b: 10 };
+    await next();
+    order.push('inner:out');
+  });
+
+  const response = await call(node, 'add', { a: 1, b: 2 });
+
+  t.alike(response.result, { sum: 11, peer: caller });
+  t.alike(order, ['outer:in', 'inner:in', 'handler', 'inner:out', 'outer:out']);
+});
+
+test('middleware short-circuits with errors and can be scoped to methods', async (t) => {
+  const node = createNode(t);
+  const seen = [];
+
+  node.registerMethod('status', async () => 'ok');
+  node.registerMethod('restart', async () => 'restarting');
+  node.registerMethod('crash', async () => 'unreachable');
+
+  node.use(async (ctx, next) => {
+    try {
+      await next();
+      seen.push(`${ctx.method}:ok`);
+    } catch (err) {
+      seen.push(`${ctx.method}:${err.code ?? 'error'}`);
+      throw err;
+    }
+  });
+  node.use(
+    async () => {
+      throw new RPCError(RPCErrorCode.FORBIDDEN, 'Maintenance window');
+    },
+    { methods: ['restart'] }
+  );
+  const remove = node.use(
+    async () => {
+      throw new Error('boom');
+    },
+    { methods: 'crash' }
+  );
+
+  t.is((await call(node, 'status')).result, 'ok');
+  t.alike((await call(node, 'restart')).error, {
+    code: RPCErrorCode.FORBIDDEN,
+    message: 'Maintenance window',
+  });
+  t.is((await call(node, 'crash')).error.code, RPCErrorCode.INTERNAL_ERROR);
+  t.is((await call(node, 'missing')).error.code, RPCErrorCode.METHOD_NOT_FOUND);
+
+  remove();
+  t.is((await call(node, 'crash')).result, 'unreachable');
+
+  t.alike(seen, [
+    'status:ok',
+    `restart:${RPCErrorCode.FORBIDDEN}`,
+    'crash:error',
+    `missing:${RPCErrorCode.METHOD_NOT_FOUND}`,
+    'crash:ok',
+  ]);
+});
+
+test('outbound middleware wraps our own requests', async (t) => {
+  const node = createNode(t);
+  const sent = [];
+
+  node.peers.set(
+    worker,
+    createPeer(worker, {
+      async request(method, params) {
+        sent.push({ method, params });
+        return 'done';
+      },
+    })
+  );
+
+  node.use(async () => {
+    throw new Error('inbound only');
+  });
+  node.use(
+    async (ctx, next) => {
+      ctx.params = { ...ctx.params, token: 'secret' };
+      await next();
+      ctx.result = `${ctx.direction}:${ctx.peer.pubkey === worker}:${ctx.result}`;
+    },
+    { direction: 'outbound' }
+  );
+  node.use(
+    async (ctx) => {
+      ctx.result = 'cached';
+    },
+    { direction: 'both', methods: 'lookup' }
+  );
+
+  t.is(await node.request(worker, 'estimate', { size: 1 }), 'outbound:true:done');
+  t.is(await node.request(worker, 'lookup', {}), 'outbound:true:cached');
+  t.alike(sent, [{ method: 'estimate', params: { size: 1, token: 'secret' } }]);
+
+  t.exception(
+    () => node.use(async () => {}, { direction: 'sideways' }),
+    /Invalid middleware direction/
+  );
+});
+
+test('requests and streams over the wire pass through middleware', async (t) => {
+  const client = createNode(t);
+  const server = createNode(t);
+  await connectNodes(t, client, server);
+
+  const seen = [];
+  server.registerMethod('echo', async (params) => params);
+  server.registerMethod('count', async function* ({ to }) {
+    for (let i = 0; i < to; i++) yield i;
+  });
+  server.registerMethod('secrets', async function* () {
+    yield 'leaked';
+  });
+
+  server.use(async (ctx, next) => {
+    seen.push(`${ctx.method}:${ctx.stream === true}:${ctx.peer.pubkey === hex(client)}`);
+    await next();
+  });
+  server.use(
+    async (ctx, next) => {
+      await next();
+      const chunks = ctx.result;
+      ctx.result = (async function* () {
+        for await (const chunk of chunks) yield chunk * 10;
+      })();
+    },
+    { methods: 'count' }
+  );
+  server.use(
+    async () => {
+      throw new RPCError(RPCErrorCode.FORBIDDEN, 'Not for you');
+    },
+    { methods: 'secrets' }
+  );
+
+  t.alike(await client.request(hex(server), 'echo', { a: 1 }), { a: 1 });
+
+  const values = [];
+  for await (const value of client.openStream(hex(server), 'count', { to: 3 })) {
+    values.push(value);
+  }
+  t.alike(values, [0, 10, 20]);
+
+  try {
+    for await (const value of client.openStream(hex(server), 'secrets', {})) {
+      t.fail(`unexpected ${value}`);
+    }
+    t.fail('stream should fail');
+  } catch (err) {
+    t.ok(err instanceof RemoteError);
+    t.is(err.code, RPCErrorCode.FORBIDDEN);
+    t.is(err.message, 'Not for you');
+  }
+
+  t.alike(seen, ['echo:false:true', 'count:true:true', 'secrets:true:true']);
+});
@@ -0,0 +1,100 @@
+// tests/outbox.test.js
+// Unit tests for the store-and-forward outbox (Bare-compatible with brittle)
+
+import test from 'brittle';
+import Buffer from 'bare-buffer';
+import { Outbox } from '../src/outbox.js';
+import { MessageType, OutboxError, PeerOfflineError } from '../src/types.js';
+import { createNode, connectNodes, tmpFile, hex } from './helpers.js';
+
+const peer = 'a'.repeat(64);
+const other = 'b'.repeat(64);
+
+test('outbox keeps order and survives a restart', (t) => {
+  const filename = tmpFile(t, 'outbox.json');
+
+  const first = new Outbox({ path: filename });
+  first.enqueue(peer, { type: MessageType.EVENT, payload: { n: 1, data: Buffer.from('hi') } });
+  first.enqueue(peer, { type: MessageType.EVENT, payload: { n: 2 } });
+  first.enqueue(other, { type: MessageType.EVENT, payload: { n: 3 } });
+
+  const second = new Outbox({ path: filename });
+  const items = second.list(peer);
+
+  t.alike(items.map((item) => item.message.payload.n), [1, 2]);
+  t.is(items[0].message.payload.data.toString(), 'hi');
+
+  second.remove(items[0]);
+  t.is(second.peek(peer).message.payload.n, 2);
+  t.is(new Outbox({ path: filename }).list().length, 2);
+});
+
+test('outbox expires items and enforces its limit', (t) => {
+  const outbox = new Outbox({ ttl: 1000, maxPerPeer: 2 });
+
+  outbox.enqueue(peer, { type: MessageType.EVENT, payload: 1 }, 10);
+  outbox.enqueue(peer, { type: MessageType.EVENT, payload: 2 });
+  t.exception(() => outbox.enqueue(peer, { type: MessageType.EVENT, payload: 3 }), OutboxError);
+
+  const expired = outbox.expire(Date.now() + 100);
+  t.alike(expired.map((item) => item.message.payload), [1]);
+  t.is(outbox.list(peer).length, 1);
+
+  t.is(outbox.purge().length, 1);
+  t.absent(outbox.has(peer));
+});
+
+test('node queues messages only for offline whitelisted peers', async (t) => {
+  const node = createNode(t, {
+    whitelist: new Set([peer]),
+    outbox: true,
+  });
+
+  const result = await node.send(peer, { type: MessageType.EVENT, payload: {} });
+  t.ok(result.queued);
+  t.is(node.getOutbox(peer)[0].id, result.id);
+
+  await t.exception(
+    node.send(other, { type: MessageType.EVENT, payload: {} }),
+    PeerOfflineError
+  );
+
+  node.removeFromWhitelist(peer);
+  t.is(node.getOutbox().length, 0);
+});
+
+test('queued messages reach the peer in order when it connects', async (t) => {
+  const filename = tmpFile(t, 'outbox.json');
+  const sender = createNode(t, { outbox: { path: filename } });
+  const receiver = createNode(t);
+  sender.addToWhitelist(hex(receiver));
+
+  for (let n = 1; n <= 5; n++) {
+    const result = await sender.send(hex(receiver), { type: MessageType.EVENT, payload: { n } });
+    t.ok(result.queued);
+  }
+  t.is(new Outbox({ path: filename }).list().length, 5);
+
+  let saves = 0;
+  const save = sender.outbox.save;
+  sender.outbox.save = function () {
+    saves++;
+    return save.call(this);
+  };
+
+  const received = [];
+  const delivered = new Promise((resolve) => {
+    receiver.on('message', (payload) => {
+      received.push(payload.n);
+      if (received.length === 5) resolve();
+    });
+  });
+
+  await connectNodes(t, sender, receiver);
+  await delivered;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  t.alike(received, [1, 2, 3, 4, 5]);
+  t.is(saves, 1, 'the flush is written once');
+  t.is(new Outbox({ path: filename }).list().length, 0);
+});
@@ -14,12 +14,30 @@ import {
   createRequest,
   createResponse,
   createEvent,
+  createStreamData,
+  createStreamEnd,
   createIntroduction,
+  signIntroduction,
+  extendIntroduction,
   validateIntroduction,
+  signRevocation,
+  validateRevocation,
   detectCircularTrust,
+  negotiateProtocolVersion,
+  FrameDecoder,
+  ReplayGuard,
+  decodePayload,
   PROTOCOL_VERSION,
 } from '../src/protocol.js';
-import { MessageType, ProtocolError } from '../src/types.js';
+import { negotiateCompression } from '../src/compression.js';
+import { cbor, negotiateEncoding } from '../src/encoding.js';
+import {
+  MessageType,
+  MessageFlags,
+  ProtocolError,
+  ReplayError,
+} from '../src/types.js';
+import { createNode, connectNodes, nextEvent, hex } from './helpers.js';
 
 test('frame serialization and deserialization', (t) => {
   const keyPair = crypto.keyPair();
@@ -66,6 +84,138 @@ test('reject frame with invalid signature', (t) => {
   t.absent(verifyFrame(frame));
 });
 
+test('compress large payloads and sign the compressed bytes', (t) => {
+  const keyPair = crypto.keyPair();
+  const payload = { context: 'lorem ipsum '.repeat(500) };
+  const frame = createFrame(MessageType.EVENT, payload, keyPair, 0, {
+    compression: 'deflate',
+  });
+
+  t.ok(frame.flags & MessageFlags.COMPRESSED);
+  t.ok(frame.payload.length < JSON.stringify(payload).length);
+
+  const received = deserializeFrame(serializeFrame(frame));
+  t.ok(verifyFrame(received));
+  t.alike(decodePayload(received, { compression: 'deflate' }), payload);
+  t.exception(() => decodePayload(received), /no codec was negotiated/);
+});
+
+test('leave payloads below the threshold uncompressed', (t) => {
+  const keyPair = crypto.keyPair();
+  const frame = createFrame(MessageType.EVENT, { small: true }, keyPair, 0, {
+    compression: 'deflate',
+  });
+
+  t.is(frame.flags & MessageFlags.COMPRESSED, 0);
+  t.alike(decodePayload(frame), { small: true });
+});
+
+test('negotiate compression per direction', (t) => {
+  t.is(negotiateCompression(['gzip', 'deflate'], ['deflate', 'gzip']), 'gzip');
+  t.is(negotiateCompression(['deflate', 'gzip'], ['gzip']), 'gzip');
+  t.is(negotiateCompression(['deflate'], []), null);
+  t.is(negotiateCompression(['deflate'], undefined), null);
+});
+
+test('cbor round-trips buffers and typed arrays', (t) => {
+  const value = {
+    text: 'héllo',
+    count: 42,
+    negative: -70000,
+    ratio: 0.25,
+    big: 2 ** 40,
+    flags: [true, false, null],
+    blob: Buffer.from([1, 2, 3]),
+    samples: new Float32Array([1.5, -2.25]),
+    ids: new Uint16Array([1, 65535]),
+    nested: { list: [{ a: 1 }] },
+  };
+
+  const decoded = cbor.decode(cbor.encode(value));
+
+  t.is(decoded.text, value.text);
+  t.is(decoded.count, 42);
+  t.is(decoded.negative, -70000);
+  t.is(decoded.ratio, 0.25);
+  t.is(decoded.big, 2 ** 40);
+  t.alike(decoded.flags, [true, false, null]);
+  t.ok(Buffer.isBuffer(decoded.blob));
+  t.alike([...decoded.blob], [1, 2, 3]);
+  t.ok(decoded.samples instanceof Float32Array);
+  t.alike([...decoded.samples], [1.5, -2.25]);
+  t.ok(decoded.ids instanceof Uint16Array);
+  t.alike([...decoded.ids], [1, 65535]);
+  t.alike(decoded.nested, value.nested);
+});
+
+test('cbor rejects truncated input', (t) => {
+  const encoded = cbor.encode({ message: 'hello world' });
+  t.exception(() => cbor.decode(encoded.subarray(0, encoded.length - 3)), /Truncated/);
+});
+
+test('binary frames carry the BINARY flag', (t) => {
+  const keyPair = crypto.keyPair();
+  const payload = { id: '1', params: { blob: Buffer.from('raw bytes') } };
+  const frame = createFrame(MessageType.REQUEST, payload, keyPair, 0, {
+    encoding: 'cbor',
+  });
+
+  t.ok(frame.flags & MessageFlags.BINARY);
+  t.ok(verifyFrame(frame));
+
+  const decoded = decodePayload(frame, { encoding: 'cbor' });
+  t.is(decoded.params.blob.toString(), 'raw bytes');
+  t.exception(() => decodePayload(frame), /no encoding was negotiated/);
+  t.is(negotiateEncoding(['cbor', 'json'], ['json']), 'json');
+});
+
+test('replay guard rejects duplicated and reordered frames', (t) => {
+  const keyPair = crypto.keyPair();
+  const guard = new ReplayGuard();
+  const first = createEvent({ n: 1 }, keyPair);
+  const second = createEvent({ n: 2 }, keyPair);
+
+  guard.check(first);
+  guard.check(second);
+
+  t.ok(second.timestamp > first.timestamp);
+  t.exception(() => guard.check(second), ReplayError);
+  t.exception(() => guard.check(first), /does not advance/);
+});
+
+test('replay guard enforces the acceptance window', (t) => {
+  const keyPair = crypto.keyPair();
+  const guard = new ReplayGuard({ window: 1000 });
+  const frame = createEvent({ n: 1 }, keyPair);
+
+  t.exception(() => guard.check(frame, frame.timestamp + 5000), /old/);
+  t.exception(() => guard.check(frame, frame.timestamp - 5000), /future/);
+  t.execution(() => guard.check(frame, frame.timestamp + 500));
+});
+
+test('duplicated frames on the wire are dropped before dispatch', async (t) => {
+  const a = createNode(t);
+  const b = createNode(t);
+  const [streamA] = await connectNodes(t, a, b);
+
+  const messages = [];
+  b.on('message', (payload) => messages.push(payload));
+  const replayed = nextEvent(b, 'peer:replay');
+
+  const peer = a.peers.get(hex(b));
+  const buffer = serializeFrame(createEvent({ n: 1 }, a.keyPair, peer.frameOptions()));
+  streamA.write(buffer);
+  streamA.write(buffer);
+
+  const [pubkey, err] = await replayed;
+  t.is(pubkey, hex(a));
+  t.ok(err instanceof ReplayError);
+  t.alike(messages, [{ n: 1 }]);
+
+  const replays = b.getMetrics().find((family) => family.name === 'aronia_replays_total');
+  t.alike(replays.series, [{ labels: {}, value: 1 }]);
+});
+
 test('create heartbeat message', (t) => {
   const keyPair = crypto.keyPair();
   const frame = createHeartbeat(keyPair);
@@ -91,6 +241,70 @@ test('create capabilities message', (t) => {
   t.alike(payload.data, caps);
 });
 
+test('create stream frames', (t) => {
+  const keyPair = crypto.keyPair();
+  const data = createStreamData({ id: 'abc', seq: 0, data: 'token' }, keyPair);
+  const end = createStreamEnd({ id: 'abc' }, keyPair);
+
+  t.is(data.type, MessageType.STREAM_DATA);
+  t.is(end.type, MessageType.STREAM_END);
+  t.ok(verifyFrame(data));
+  t.ok(verifyFrame(end));
+  t.alike(JSON.parse(data.payload.toString()), { id: 'abc', seq: 0, data: 'token' });
+});
+
+test('negotiate the highest common protocol version', (t) => {
+  t.is(negotiateProtocolVersion({ min: 1, max: 3 }, { min: 2, max: 5 }), 3);
+  t.is(negotiateProtocolVersion({ min: 1, max: 2 }, { min: 1, max: 1 }), 1);
+  t.is(negotiateProtocolVersion({ min: 1, max: 2 }, undefined), 1);
+  t.is(negotiateProtocolVersion({ min: 3, max: 4 }, { min: 1, max: 2 }), null);
+});
+
+test('frames outside the supported version range are rejected', (t) => {
+  const keyPair = crypto.keyPair();
+  const frame = createFrame(MessageType.EVENT, { v: 2 }, keyPair, 0, {
+    version: 2,
+  });
+  const buffer = serializeFrame(frame);
+
+  t.exception(() => deserializeFrame(buffer), /Unsupported protocol version: 2/);
+  t.is(deserializeFrame(buffer, { maxVersion: 2 }).version, 2);
+
+  const caps = serializeFrame(createCapabilities({ agent: 'test' }, keyPair));
+  t.is(deserializeFrame(caps, { minVersion: 2, maxVersion: 2 }).version, 1);
+});
+
+test('peers hold each other to the negotiated version', async (t) => {
+  const versions = { min: 1, max: 2 };
+  const a = createNode(t, { protocolVersions: versions });
+  const b = createNode(t, { protocolVersions: versions });
+  await connectNodes(t, a, b);
+
+  b.registerMethod('echo', async (params) => params);
+  t.alike(await a.request(hex(b), 'echo', { ok: true }), { ok: true });
+
+  const fromA = a.peers.get(hex(b));
+  const fromB = b.peers.get(hex(a));
+  t.is(fromA.protocolVersion, 2);
+  t.is(fromB.protocolVersion, 2);
+
+  const received = [];
+  const errors = [];
+  b.on('message', (payload) => received.push(payload));
+  b.on('error', (err) => errors.push(err));
+
+  await fromA.writeFrame(
+    createFrame(MessageType.EVENT, { stale: true }, a.keyPair, 0, { version: 1 })
+  );
+  await fromA.send({ type: MessageType.EVENT, payload: { fresh: true } });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  t.alike(received, [{ fresh: true }]);
+  t.is(errors.length, 1);
+  t.ok(errors[0] instanceof ProtocolError);
+  t.is(errors[0].message, 'Protocol error: Expected protocol version 2, got 1');
+});
+
 test('create and validate introduction', (t) => {
   const keyPair = crypto.keyPair();
   const targetKeyPair = crypto.keyPair();
@@ -117,6 +331,98 @@ test('create and validate introduction', (t) => {
   t.ok(result.valid);
 });
 
+test('introduction frames verify under every payload encoding', (t) => {
+  const keyPair = crypto.keyPair();
+  const ownPubkey = keyPair.publicKey.toString('hex');
+
+  const introData = {
+    pubkey: crypto.keyPair().publicKey.toString('hex'),
+    alias: 'test-peer',
+    capabilities: { agent: 'test', version: '1.0', accepts: ['json'] },
+    message: 'Test introduction',
+    introducerPubkey: ownPubkey,
+    timestamp: Date.now(),
+    trustPath: [ownPubkey],
+  };
+
+  for (const encoding of ['json', 'cbor']) {
+    const frame = createIntroduction(introData, keyPair, { encoding });
+    const intro = decodePayload(frame, { encoding });
+
+    t.is(frame.type, MessageType.INTRODUCE);
+    t.ok(validateIntroduction(intro, keyPair.publicKey).valid, encoding);
+  }
+
+  const frame = createIntroduction(introData, keyPair, { encoding: 'json' });
+  const tampered = { ...decodePayload(frame, { encoding: 'json' }), alias: 'mallory' };
+  t.absent(validateIntroduction(tampered, keyPair.publicKey).valid);
+});
+
+test('validate a forwarded introduction chain', (t) => {
+  const origin = crypto.keyPair();
+  const hop1 = crypto.keyPair();
+  const hop2 = crypto.keyPair();
+  const originPubkey = origin.publicKey.toString('hex');
+
+  const intro = signIntroduction({
+    pubkey: crypto.keyPair().publicKey.toString('hex'),
+    alias: 'test-peer',
+    capabilities: { agent: 'test', version: '1.0', accepts: ['json'] },
+    message: 'Test introduction',
+    introducerPubkey: originPubkey,
+    timestamp: Date.now(),
+    trustPath: [originPubkey],
+  }, origin);
+
+  const forwarded = extendIntroduction(extendIntroduction(intro, hop1), hop2);
+
+  t.is(forwarded.trustPath.length, 3);
+  t.is(forwarded.introducerPubkey, hop2.publicKey.toString('hex'));
+  t.ok(validateIntroduction(forwarded, hop2.publicKey).valid);
+
+  // Delivered by someone other than the last hop
+  t.absent(validateIntroduction(forwarded, hop1.publicKey).valid);
+
+  // A hop dropped from the path
+  const skipped = {
+    ...forwarded,
+    trustPath: [originPubkey, hop2.publicKey.toString('hex')],
+    links: [forwarded.links[1]],
+  };
+  t.absent(validateIntroduction(skipped, hop2.publicKey).valid);
+
+  // Content changed after the origin signed it
+  const altered = { ...forwarded, alias: 'mallory' };
+  t.is(
+    validateIntroduction(altered, hop2.publicKey).error,
+    'Invalid introduction signature'
+  );
+});
+
+test('validate signed revocation notices', (t) => {
+  const revoker = crypto.keyPair();
+  const other = crypto.keyPair();
+
+  const notice = signRevocation({
+    pubkey: crypto.keyPair().publicKey.toString('hex'),
+    revokerPubkey: revoker.publicKey.toString('hex'),
+    cascade: true,
+    reason: 'compromised',
+    timestamp: Date.now(),
+  }, revoker);
+
+  t.ok(validateRevocation(notice, revoker.publicKey).valid);
+
+  // Relayed by someone else
+  t.absent(validateRevocation(notice, other.publicKey).valid);
+
+  // Cascade flag flipped in transit
+  t.is(
+    validateRevocation({ ...notice, cascade: false }, revoker.publicKey).error,
+    'Invalid revocation signature'
+  );
+});
+
 test('reject expired introduction', (t) => {
   const keyPair = crypto.keyPair();
   const targetKeyPair = crypto.keyPair();
@@ -164,3 +470,45 @@ test('accept valid trust chain', (t) => {
 
   t.absent(detectCircularTrust(trustPath, ownPubkey));
 });
+
+test('decoder reassembles a frame split across chunks', (t) => {
+  const keyPair = crypto.keyPair();
+  const buffer = serializeFrame(createEvent({ message: 'split' }, keyPair));
+  const decoder = new FrameDecoder();
+
+  t.is(decoder.push(buffer.subarray(0, 2)).length, 0);
+  t.is(decoder.push(buffer.subarray(2, 60)).length, 0);
+
+  const frames = decoder.push(buffer.subarray(60));
+  t.is(frames.length, 1);
+
+  const frame = deserializeFrame(frames[0]);
+  t.ok(verifyFrame(frame));
+  t.alike(JSON.parse(frame.payload.toString()), { message: 'split' });
+});
+
+test('decoder splits coalesced frames', (t) => {
+  const keyPair = crypto.keyPair();
+  const first = serializeFrame(createEvent({ n: 1 }, keyPair));
+  const second = serializeFrame(createEvent({ n: 2 }, keyPair));
+  const third = serializeFrame(createEvent({ n: 3 }, keyPair));
+  const decoder = new FrameDecoder();
+
+  const combined = Buffer.concat([first, second, third]);
+  const frames = decoder.push(combined.subarray(0, combined.length - 10));
+  t.is(frames.length, 2);
+  t.is(decoder.push(combined.subarray(combined.length - 10)).length, 1);
+  t.is(decoder.buffered, 0);
+});
+
+test('decoder rejects oversized and undersized frames', (t) => {
+  const keyPair = crypto.keyPair();
+  const buffer = serializeFrame(createEvent({ data: 'x'.repeat(512) }, keyPair));
+
+  const small = new FrameDecoder({ maxFrameSize: 256 });
+  t.exception(() => small.push(buffer), /Frame too large/);
+
+  const corrupt = Buffer.alloc(8);
+  corrupt.writeUInt32BE(3, 0);
+  t.exception(() => new FrameDecoder().push(corrupt), /Invalid frame length/);
+});
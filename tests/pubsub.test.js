@@ -0,0 +1,101 @@
+// tests/pubsub.test.js
+// Unit tests for topic-based publish/subscribe (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { Subscriptions, topicMatches, isValidTopic, isValidPattern } from '../src/pubsub.js';
+import { TopicError } from '../src/types.js';
+import { createNode, createPeer, connectNodes, nextEvent, hex } from './helpers.js';
+
+test('topic patterns match by segment', (t) => {
+  t.ok(topicMatches('tasks.build', 'tasks.build'));
+  t.ok(topicMatches('tasks.*', 'tasks.build'));
+  t.absent(topicMatches('tasks.*', 'tasks.build.linux'));
+  t.absent(topicMatches('tasks.*', 'tasks'));
+  t.ok(topicMatches('tasks.>', 'tasks.build.linux'));
+  t.absent(topicMatches('tasks.>', 'tasks'));
+  t.ok(topicMatches('*.build', 'tasks.build'));
+  t.absent(topicMatches('tasks.build', 'tasks.test'));
+
+  t.ok(isValidTopic('tasks.build'));
+  t.absent(isValidTopic('tasks.*'));
+  t.absent(isValidTopic('tasks..build'));
+  t.ok(isValidPattern('*.build.>'));
+  t.absent(isValidPattern('tasks.>.linux'));
+  t.absent(isValidPattern('tasks.bu*'));
+});
+
+test('subscriptions run each handler once per topic', (t) => {
+  const subscriptions = new Subscriptions();
+  const a = () => {};
+  const b = () => {};
+
+  t.ok(subscriptions.add('tasks.*', a));
+  t.absent(subscriptions.add('tasks.*', b));
+  t.ok(subscriptions.add('tasks.>', a));
+
+  t.alike(subscriptions.match('tasks.build'), [a, b]);
+  t.alike(subscriptions.match('tasks.build.linux'), [a]);
+
+  t.absent(subscriptions.remove('tasks.*', a));
+  t.ok(subscriptions.remove('tasks.*', b));
+  t.alike(subscriptions.patterns(), ['tasks.>']);
+
+  t.exception(() => subscriptions.add('tasks.>.x', a), TopicError);
+});
+
+test('publish only reaches peers with a matching subscription', async (t) => {
+  const node = createNode(t);
+  const builder = createPeer('a'.repeat(64), { subscriptions: new Set(['tasks.*', 'tasks.>']) });
+  const tester = createPeer('b'.repeat(64), { subscriptions: new Set(['tests.>']) });
+  node.peers.set(builder.pubkey, builder);
+  node.peers.set(tester.pubkey, tester);
+
+  t.alike(await node.publish('tasks.build', 1), { sent: 1, failed: 0 });
+  t.alike(builder.published, [['tasks.build', 1]]);
+  t.alike(tester.published, []);
+
+  await t.exception(node.publish('tasks.*', 1), TopicError);
+
+  const received = [];
+  const unsubscribe = node.subscribe('tasks.*', (data, meta) => received.push([data, meta]));
+  t.alike(builder.announced, [['tasks.*']]);
+
+  node.handlePublish({ topic: 'tasks.build', data: 2 }, builder);
+  node.handlePublish({ topic: 'other', data: 3 }, builder);
+  t.alike(received, [[2, { topic: 'tasks.build', pubkey: builder.pubkey }]]);
+
+  unsubscribe();
+  t.alike(tester.announced, [['tasks.*'], []]);
+
+  node.handleSubscriptions(['tests.unit', 'bad.>.x'], tester);
+  t.alike(Array.from(tester.subscriptions), ['tests.unit']);
+});
+
+test('publishes over the wire follow announced subscriptions', async (t) => {
+  const publisher = createNode(t);
+  const builder = createNode(t);
+  const tester = createNode(t);
+
+  const builds = [];
+  builder.subscribe('tasks.>', (data, meta) => builds.push([data, meta.topic, meta.pubkey]));
+  await connectNodes(t, publisher, builder);
+  await connectNodes(t, publisher, tester);
+
+  // Subscribing while connected announces the new list right away
+  const tests = [];
+  let announced = nextEvent(publisher, 'peer:subscriptions', (pubkey) => pubkey === hex(tester));
+  const unsubscribe = tester.subscribe('tests.*', (data) => tests.push(data));
+  t.alike(await announced, [hex(tester), ['tests.*']]);
+
+  t.alike(await publisher.publish('tasks.build.linux', { commit: 'abc' }), { sent: 1, failed: 0 });
+  t.alike(await publisher.publish('tests.unit', 1), { sent: 1, failed: 0 });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  t.alike(builds, [[{ commit: 'abc' }, 'tasks.build.linux', hex(publisher)]]);
+  t.alike(tests, [1]);
+
+  announced = nextEvent(publisher, 'peer:subscriptions', (pubkey) => pubkey === hex(tester));
+  unsubscribe();
+  t.alike(await announced, [hex(tester), []]);
+  t.alike(await publisher.publish('tests.unit', 2), { sent: 0, failed: 0 });
+});
@@ -0,0 +1,66 @@
+// tests/quality.test.js
+// Unit tests for link quality estimates (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { LinkQuality } from '../src/quality.js';
+import { createNode, connectNodes, nextEvent, hex } from './helpers.js';
+
+test('no estimates before the first echo', (t) => {
+  const quality = new LinkQuality();
+
+  quality.sent(1, 0);
+  quality.sent(2, 1000);
+
+  t.alike(quality.toJSON(), { rtt: null, srtt: null, jitter: null, loss: null, samples: 0 });
+});
+
+test('smooths rtt and tracks jitter between samples', (t) => {
+  const quality = new LinkQuality();
+
+  quality.sent(1, 0);
+  t.is(quality.echo(1, 40), 40);
+  t.alike(quality.toJSON(), { rtt: 40, srtt: 40, jitter: 0, loss: 0, samples: 1 });
+
+  quality.sent(2, 1000);
+  t.is(quality.echo(2, 1080), 80);
+  t.is(quality.srtt, 45);
+  t.is(quality.jitter, 2.5);
+
+  t.is(quality.echo(2, 1100), null);
+  t.is(quality.echo(99, 1100), null);
+});
+
+test('late echoes count as lost within the window', (t) => {
+  const quality = new LinkQuality({ lossWindow: 4 });
+
+  quality.sent(1, 0);
+  quality.echo(1, 10);
+  quality.sent(2, 100);
+  t.is(quality.sent(3, 200), 1);
+  t.is(quality.echo(2, 210), null);
+  quality.echo(3, 210);
+
+  t.is(quality.loss, 1 / 3);
+
+  for (let seq = 4; seq <= 7; seq++) {
+    quality.sent(seq, seq * 100);
+    quality.echo(seq, seq * 100 + 10);
+  }
+  t.is(quality.loss, 0);
+});
+
+test('heartbeats over the wire measure the link', async (t) => {
+  const client = createNode(t, { heartbeatInterval: 20 });
+  const server = createNode(t, { heartbeatInterval: 20 });
+  await connectNodes(t, client, server);
+
+  const [pubkey, quality] = await nextEvent(client, 'peer:quality');
+  t.is(pubkey, hex(server));
+  t.ok(quality.samples >= 1);
+  t.ok(quality.rtt >= 0 && quality.srtt >= 0);
+  t.is(quality.loss, 0);
+
+  t.ok(client.getPeerInfo(hex(server)).quality.samples >= quality.samples);
+  const rtt = client.getMetrics().find((family) => family.name === 'aronia_peer_rtt_seconds');
+  t.alike(rtt.series.map((series) => series.labels), [{ peer: hex(server) }]);
+});
@@ -0,0 +1,254 @@
+// tests/ratelimit.test.js
+// Unit tests for per-peer rate limiting (Bare-compatible with brittle)
+
+import test from 'brittle';
+import Buffer from 'bare-buffer';
+import { TokenBucket, RateLimiter } from '../src/ratelimit.js';
+import { MessageType, RPCErrorCode } from '../src/types.js';
+import {
+  createNode,
+  createPeer,
+  connectNodes,
+  createStreamPair,
+  nextEvent,
+  hex,
+} from './helpers.js';
+
+const flooder = 'a'.repeat(64);
+
+test('token buckets refill over time and strikes escalate', (t) => {
+  const bucket = new TokenBucket({ rate: 10, burst: 2 });
+  t.ok(bucket.take(1, 0));
+  t.ok(bucket.take(1, 0));
+  t.absent(bucket.take(1, 0));
+  t.ok(bucket.take(1, 100));
+  t.absent(bucket.take(5, 100));
+  t.ok(bucket.take(5, 300));
+  t.absent(bucket.take(1, 300));
+
+  const limiter = new RateLimiter({
+    frames: { rate: 1, burst: 1 },
+    disconnectAfter: 2,
+    suspendDuration: 1000,
+    banAfter: 2,
+    banDuration: Infinity,
+  });
+
+  t.is(limiter.checkFrame(flooder, 10, 0), null);
+  t.is(limiter.checkFrame(flooder, 10, 0), 'frames');
+
+  t.is(limiter.strike(flooder, 0).action, 'throttle');
+  t.is(limiter.strike(flooder, 500), null);
+  t.alike(limiter.strike(flooder, 1000), { action: 'suspend', strikes: 2, until: 2000 });
+  t.alike(limiter.isBlocked(flooder, 1500), { until: 2000, banned: false });
+  t.is(limiter.isBlocked(flooder, 2000), null);
+
+  limiter.strike(flooder, 3000);
+  t.is(limiter.strike(flooder, 4000).action, 'ban');
+  t.alike(limiter.isBlocked(flooder, 1e12), { until: Infinity, banned: true });
+
+  t.ok(limiter.unban(flooder));
+  t.is(limiter.isBlocked(flooder), null);
+});
+
+test('idle peers are forgotten unless busy or blocked', (t) => {
+  const limiter = new RateLimiter({
+    strikeWindow: 1000,
+    disconnectAfter: 1,
+    suspendDuration: 5000,
+  });
+  const now = Date.now();
+  const [quiet, busy, suspended] = ['a', 'b', 'c'].map((c) => c.repeat(64));
+
+  limiter.checkFrame(quiet, 10, now);
+  limiter.acquire(busy);
+  t.is(limiter.strike(suspended, now).action, 'suspend');
+
+  t.is(limiter.prune(now + 500), 0);
+  t.is(limiter.prune(now + 2000), 1);
+  t.alike(Array.from(limiter.peers.keys()), [busy, suspended]);
+
+  // The suspension is kept for a strikeWindow after it ends
+  limiter.release(busy);
+  t.is(limiter.prune(now + 6000), 1);
+  t.alike(Array.from(limiter.peers.keys()), [suspended]);
+  t.is(limiter.prune(now + 6001), 1);
+  t.is(limiter.peers.size, 0);
+});
+
+test('pruning does not let a repeat offender escape a ban', (t) => {
+  const limiter = new RateLimiter({
+    disconnectAfter: 1,
+    suspendDuration: 60000,
+    strikeWindow: 30000,
+    banAfter: 2,
+  });
+
+  t.is(limiter.strike(flooder, 0).action, 'suspend');
+  t.is(limiter.prune(60001), 0);
+  const ban = limiter.strike(flooder, 60001);
+  t.is(ban.action, 'ban');
+  t.is(limiter.prune(ban.until), 0);
+});
+
+test('requests over the concurrency limit are refused', async (t) => {
+  const node = createNode(t, { rateLimit: { concurrentRequests: 1 } });
+  const throttled = [];
+  node.on('peer:throttled', (pubkey, info) => throttled.push([pubkey, info.reason]));
+
+  let finish;
+  node.registerMethod('slow', () => new Promise((resolve) => (finish = resolve)));
+  node.registerMethod('fast', async () => 'ok');
+
+  const call = (method) =>
+    new Promise((resolve) => {
+      node.handleRPCRequest({ id: method, method, params: {} }, { pubkey: flooder }, resolve);
+    });
+
+  const slow = call('slow');
+  const refused = await call('fast');
+  t.is(refused.error.code, RPCErrorCode.RATE_LIMITED);
+  t.alike(throttled, [[flooder, 'requests']]);
+
+  finish('done');
+  t.is((await slow).result, 'done');
+  t.is((await call('fast')).result, 'ok');
+});
+
+test('sustained floods suspend and then ban the peer', async (t) => {
+  const node = createNode(t, {
+    whitelist: new Set([flooder]),
+    rateLimit: {
+      frames: { rate: 1, burst: 1 },
+      strikeInterval: 0,
+      disconnectAfter: 2,
+      banAfter: 2,
+    },
+  });
+
+  const events = [];
+  for (const name of ['peer:throttled', 'peer:suspended', 'peer:banned', 'peer:rejected']) {
+    node.on(name, (pubkey, info) => {
+      events.push([name, typeof info === 'string' ? info : info.strikes]);
+    });
+  }
+
+  const notices = [];
+  let destroyed = 0;
+  node.peers.set(
+    flooder,
+    createPeer(flooder, {
+      async sendThrottle(reason) {
+        notices.push(reason);
+      },
+      destroy() {
+        destroyed++;
+      },
+    })
+  );
+
+  for (let i = 0; i < 4; i++) {
+    node.handleRateLimit(flooder, 'frames');
+  }
+
+  t.alike(events, [
+    ['peer:throttled', 1],
+    ['peer:suspended', 2],
+    ['peer:throttled', 1],
+    ['peer:banned', 2],
+  ]);
+  t.alike(notices, ['frames', 'frames']);
+  t.is(destroyed, 2);
+  t.alike(
+    node.getBlockedPeers().map(({ pubkey, banned }) => [pubkey, banned]),
+    [[flooder, true]]
+  );
+
+  let closed = false;
+  await node.handleConnection(
+    { remotePublicKey: Buffer.from(flooder, 'hex'), destroy: () => (closed = true) },
+    {}
+  );
+  t.ok(closed);
+  t.alike(events.pop(), ['peer:rejected', 'Banned']);
+
+  t.ok(node.unbanPeer(flooder));
+  t.alike(node.getBlockedPeers(), []);
+});
+
+test('a peer flooding over the wire is suspended and refused', async (t) => {
+  const server = createNode(t, {
+    reconnectMaxAttempts: 0,
+    rateLimit: {
+      frames: { rate: 1, burst: 20 },
+      strikeInterval: 0,
+      disconnectAfter: 2,
+    },
+  });
+  const client = createNode(t, { reconnectMaxAttempts: 0 });
+  // The flood is still being written when the server hangs up
+  client.on('error', () => {});
+  await connectNodes(t, client, server);
+
+  let received = 0;
+  server.on('message', () => received++);
+  const suspended = nextEvent(server, 'peer:suspended');
+  const disconnected = nextEvent(client, 'peer:disconnected');
+
+  for (let i = 0; i < 50; i++) {
+    client.send(hex(server), { type: MessageType.EVENT, payload: { i } }).catch(() => {});
+  }
+
+  const [pubkey, info] = await suspended;
+  await disconnected;
+  t.is(pubkey, hex(client));
+  t.is(info.reason, 'frames');
+  t.ok(received < 50, `${received} of 50 messages got through`);
+  t.alike(
+    server.getBlockedPeers().map(({ pubkey, banned }) => [pubkey, banned]),
+    [[hex(client), false]]
+  );
+
+  const rejected = nextEvent(server, 'peer:rejected');
+  const [, retry] = await createStreamPair(t, client.keyPair, server.keyPair);
+  server.handleConnection(retry, {});
+  t.alike(await rejected, [hex(client), 'Suspended']);
+});
+
+test('responses to a caller that has gone are dropped', async (t) => {
+  const server = createNode(t, { reconnectMaxAttempts: 0 });
+  const client = createNode(t, { reconnectMaxAttempts: 0 });
+  await connectNodes(t, client, server);
+
+  const errors = [];
+  server.on('error', (err) => errors.push(err));
+
+  let finish;
+  const started = new Promise((resolve) => {
+    server.registerMethod('slow', () => {
+      resolve();
+      return new Promise((done) => (finish = done));
+    });
+  });
+
+  const pending = client.request(hex(server), 'slow', {}).catch((err) => err);
+  await started;
+
+  const connection = server.peers.get(hex(client));
+  let writes = 0;
+  const writeFrame = connection.writeFrame;
+  connection.writeFrame = function (frame) {
+    writes++;
+    return writeFrame.call(this, frame);
+  };
+
+  const gone = nextEvent(server, 'peer:disconnected');
+  client.peers.get(hex(server)).destroy();
+  await gone;
+
+  finish('too late');
+  t.ok((await pending) instanceof Error);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  t.is(writes, 0);
+  t.alike(errors, []);
+});
@@ -0,0 +1,87 @@
+// tests/reconnect.test.js
+// Unit tests for the reconnection manager (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { Reconnector } from '../src/reconnect.js';
+import { createNode, connectNodes, nextEvent, hex } from './helpers.js';
+
+function createReconnector(opts = {}) {
+  const log = [];
+  const reconnector = new Reconnector({
+    baseDelay: 10,
+    maxDelay: 40,
+    maxAttempts: 3,
+    dial: (pubkey) => log.push(['dial', pubkey]),
+    abort: (pubkey) => log.push(['abort', pubkey]),
+    onAttempt: (pubkey, attempt) => log.push(['attempt', attempt]),
+    onGiveUp: (pubkey, attempts) => log.push(['gave-up', attempts]),
+    ...opts,
+  });
+  return { reconnector, log };
+}
+
+test('backoff grows exponentially with jitter up to the cap', (t) => {
+  const { reconnector } = createReconnector({ baseDelay: 100, maxDelay: 1000 });
+
+  for (let i = 0; i < 50; i++) {
+    const first = reconnector.getDelay(0);
+    t.ok(first >= 50 && first <= 100);
+
+    const third = reconnector.getDelay(2);
+    t.ok(third >= 200 && third <= 400);
+
+    const capped = reconnector.getDelay(10);
+    t.ok(capped >= 500 && capped <= 1000);
+  }
+});
+
+test('gives up after the last attempt', async (t) => {
+  const { reconnector, log } = createReconnector();
+
+  reconnector.start('aa');
+  reconnector.start('aa');
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  t.alike(log.filter(([event]) => event === 'attempt').map(([, n]) => n), [1, 2, 3]);
+  t.alike(log.slice(-2), [['abort', 'aa'], ['gave-up', 3]]);
+  t.absent(reconnector.has('aa'));
+});
+
+test('reports attempts when the peer comes back', async (t) => {
+  const { reconnector, log } = createReconnector({ maxAttempts: 10 });
+
+  t.is(reconnector.connected('aa'), undefined);
+
+  reconnector.start('aa');
+  await new Promise((resolve) => setTimeout(resolve, 25));
+
+  t.ok(reconnector.connected('aa') >= 1);
+  t.absent(reconnector.has('aa'));
+  t.absent(log.some(([event]) => event === 'gave-up'));
+});
+
+test('a dropped whitelisted peer is redialed and picked up again', async (t) => {
+  const client = createNode(t, { reconnectBaseDelay: 20, reconnectMaxAttempts: 5 });
+  const server = createNode(t, { reconnectMaxAttempts: 0 });
+  await connectNodes(t, client, server);
+
+  const reconnecting = nextEvent(client, 'peer:reconnecting');
+  server.peers.get(hex(client)).destroy();
+
+  const [pubkey, attempt, maxAttempts] = await reconnecting;
+  t.is(pubkey, hex(server));
+  t.is(attempt, 1);
+  t.is(maxAttempts, 5);
+  t.is(client.getPeerInfo(hex(server)).online, false);
+
+  // Stands in for the swarm finding the peer again
+  const reconnected = nextEvent(client, 'peer:reconnected');
+  await connectNodes(t, client, server);
+
+  const [info, attempts] = await reconnected;
+  t.is(info.pubkey, hex(server));
+  t.ok(attempts >= 1);
+  t.is(client.getPeerInfo(hex(server)).reconnects, 1);
+  t.is((await client.request(hex(server), 'ping', {})).pong, true);
+});
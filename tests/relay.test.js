@@ -0,0 +1,124 @@
+// tests/relay.test.js
+// Unit tests for multi-hop message relaying (Bare-compatible with brittle)
+
+import test from 'brittle';
+import Buffer from 'bare-buffer';
+import crypto from 'hypercore-crypto';
+import { sealRelayed, validateRelayed } from '../src/protocol.js';
+import { MessageType } from '../src/types.js';
+import { createNode, createPeer, connectNodes, nextEvent, hex } from './helpers.js';
+
+test('relayed frames keep the origin signature and destination', (t) => {
+  const origin = crypto.keyPair();
+  const destination = 'd'.repeat(64);
+
+  const { id, frame } = sealRelayed(
+    { type: MessageType.EVENT, payload: { hello: 'world' } },
+    destination,
+    origin
+  );
+
+  const result = validateRelayed(frame);
+  t.ok(result.valid);
+  t.is(result.message.id, id);
+  t.is(result.message.origin, origin.publicKey.toString('hex'));
+  t.is(result.message.destination, destination);
+  t.alike(result.message.payload, { hello: 'world' });
+
+  // Redirecting to another destination breaks the signature
+  const tampered = Buffer.from(
+    Buffer.from(frame, 'base64').toString('latin1').replace('dddd', 'eeee'),
+    'latin1'
+  ).toString('base64');
+  t.is(validateRelayed(tampered).error, 'Invalid relayed frame signature');
+});
+
+test('relays forward once, away from the sender, within the hop limit', (t) => {
+  const node = createNode(t, { relay: true });
+  const origin = crypto.keyPair();
+  const from = createPeer(origin.publicKey.toString('hex'));
+  const other = createPeer('b'.repeat(64));
+  node.peers.set(from.pubkey, from);
+  node.peers.set(other.pubkey, other);
+
+  const destination = 'd'.repeat(64);
+  const { frame } = sealRelayed({ type: MessageType.EVENT, payload: 1 }, destination, origin);
+
+  node.handleRelay({ destination, hops: 2, frame }, from);
+  node.handleRelay({ destination, hops: 2, frame }, other);
+
+  t.alike(other.relayed, [{ destination, hops: 1, frame }]);
+  t.is(from.relayed.length, 0);
+
+  const dropped = [];
+  node.on('relay:dropped', (to, reason) => dropped.push(reason));
+
+  const second = sealRelayed({ type: MessageType.EVENT, payload: 2 }, destination, origin);
+  node.handleRelay({ destination, hops: 0, frame: second.frame }, from);
+  t.alike(dropped, ['Hop limit reached']);
+  t.is(other.relayed.length, 1);
+});
+
+test('destination only delivers relayed messages from trusted origins', (t) => {
+  const node = createNode(t);
+  const trusted = crypto.keyPair();
+  const stranger = crypto.keyPair();
+  const relay = createPeer('b'.repeat(64));
+  const trustedKey = trusted.publicKey.toString('hex');
+  node.addToWhitelist(trustedKey);
+
+  const received = [];
+  const dropped = [];
+  node.on('message', (payload, pubkey, meta) => received.push([payload, pubkey, meta]));
+  node.on('relay:dropped', (to, reason) => dropped.push(reason));
+
+  const self = hex(node);
+  for (const origin of [trusted, stranger]) {
+    const { frame } = sealRelayed({ type: MessageType.EVENT, payload: 'hi' }, self, origin);
+    node.handleRelay({ destination: self, hops: 0, frame }, relay);
+  }
+
+  t.alike(received, [['hi', trustedKey, { relayed: true }]]);
+  t.alike(dropped, ['Origin is not whitelisted']);
+
+  // Messages for someone else are not forwarded unless relaying is enabled
+  const { frame } = sealRelayed({ type: MessageType.EVENT, payload: 'hi' }, 'd'.repeat(64), trusted);
+  node.handleRelay({ destination: 'd'.repeat(64), hops: 3, frame }, relay);
+  t.is(dropped[1], 'Relaying is disabled');
+});
+
+test('events and requests cross a relay between two nodes', async (t) => {
+  const alice = createNode(t);
+  const relay = createNode(t, { relay: true });
+  const bob = createNode(t);
+  await connectNodes(t, alice, relay);
+  await connectNodes(t, relay, bob);
+  // Bob and Alice never connect, but accept relayed traffic from each other
+  alice.addToWhitelist(hex(bob));
+  bob.addToWhitelist(hex(alice));
+
+  bob.registerMethod('whoami', async (params, peer) => ({
+    caller: peer.pubkey,
+    relayed: peer.relayed,
+  }));
+
+  const forwarded = nextEvent(relay, 'relay:forwarded');
+  const message = nextEvent(bob, 'message');
+  t.alike(alice.sendRelayed(hex(bob), { type: MessageType.EVENT, payload: 'hi' }), {
+    sent: 1,
+  });
+
+  t.alike(await message, ['hi', hex(alice), { relayed: true }]);
+  t.alike(await forwarded, [hex(alice), hex(bob), 1]);
+
+  t.alike(await alice.requestRelayed(hex(bob), 'whoami', {}), {
+    caller: hex(alice),
+    relayed: true,
+  });
+
+  // Without the whitelist entry the destination drops it
+  bob.removeFromWhitelist(hex(alice));
+  const dropped = nextEvent(bob, 'relay:dropped');
+  alice.sendRelayed(hex(bob), { type: MessageType.EVENT, payload: 'ignored' });
+  t.alike(await dropped, [hex(bob), 'Origin is not whitelisted']);
+});
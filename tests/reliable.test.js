@@ -0,0 +1,102 @@
+// tests/reliable.test.js
+// Unit tests for acknowledged event delivery (Bare-compatible with brittle)
+
+import test from 'brittle';
+import { MessageType, DeliveryError } from '../src/types.js';
+import { createNode, createPeer, connectNodes, hex } from './helpers.js';
+
+const remote = 'a'.repeat(64);
+
+test('receiver handles each reliable event once and acks every copy', async (t) => {
+  const node = createNode(t);
+  const peer = createPeer(remote);
+  const received = [];
+
+  node.on('message', (payload, pubkey, meta) => received.push([payload, pubkey, meta]));
+
+  node.handleMessage({ type: MessageType.EVENT, payload: 'hi', id: 'm1' }, peer);
+  node.handleMessage({ type: MessageType.EVENT, payload: 'hi', id: 'm1' }, peer);
+  node.handleMessage({ type: MessageType.EVENT, payload: 'plain' }, peer);
+
+  t.alike(received, [
+    ['hi', remote, { id: 'm1' }],
+    ['plain', remote, undefined],
+  ]);
+  t.alike(peer.controls, [
+    { type: 'ack', id: 'm1' },
+    { type: 'ack', id: 'm1' },
+  ]);
+
+  // The same ID from another peer is a different message
+  node.handleMessage({ type: MessageType.EVENT, payload: 'hi', id: 'm1' }, createPeer('b'.repeat(64)));
+  t.is(received.length, 3);
+});
+
+test('sender retries until acked', async (t) => {
+  const node = createNode(t, { ackTimeout: 20 });
+  const peer = createPeer(remote);
+  node.peers.set(remote, peer);
+
+  const delivery = node.sendReliable(remote, { type: MessageType.EVENT, payload: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  t.ok(peer.sent.length >= 2);
+  t.ok(peer.sent.every(({ id }) => id === peer.sent[0].id));
+
+  node.handleAck(peer.sent[0].id, 'b'.repeat(64));
+  node.handleAck(peer.sent[0].id, remote);
+
+  const result = await delivery;
+  t.is(result.id, peer.sent[0].id);
+  t.is(result.attempts, peer.sent.length);
+  t.is(node.deliveries.size, 0);
+});
+
+test('sender gives up with DeliveryError', async (t) => {
+  const node = createNode(t, { ackTimeout: 10, reliableMaxRetries: 2 });
+  node.addToWhitelist(remote);
+
+  try {
+    await node.sendReliable(remote, { type: MessageType.EVENT, payload: 1 });
+    t.fail('should have rejected');
+  } catch (err) {
+    t.ok(err instanceof DeliveryError);
+    t.is(err.attempts, 3);
+  }
+
+  await t.exception(
+    node.sendReliable(remote, { type: MessageType.REQUEST, payload: 1 }),
+    /Only EVENT messages/
+  );
+});
+
+test('reliable events survive a lost ack over the wire', async (t) => {
+  const sender = createNode(t, { ackTimeout: 30 });
+  const receiver = createNode(t);
+  await connectNodes(t, sender, receiver);
+
+  const received = [];
+  receiver.on('message', (payload, pubkey, meta) => received.push([payload, pubkey, meta.id]));
+
+  const first = await sender.sendReliable(hex(receiver), { type: MessageType.EVENT, payload: 'one' });
+  t.is(first.attempts, 1);
+
+  // Swallow the next ack, so the sender has to resend
+  const connection = receiver.peers.get(hex(sender));
+  const sendControl = connection.sendControl;
+  connection.sendControl = async function (msg) {
+    if (msg.type === 'ack') {
+      this.sendControl = sendControl;
+      return;
+    }
+    return sendControl.call(this, msg);
+  };
+
+  const second = await sender.sendReliable(hex(receiver), { type: MessageType.EVENT, payload: 'two' });
+  t.is(second.attempts, 2);
+
+  t.alike(received, [
+    ['one', hex(sender), first.id],
+    ['two', hex(sender), second.id],
+  ]);
+});
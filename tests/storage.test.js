@@ -0,0 +1,131 @@
+// tests/storage.test.js
+// Unit tests for durable trust state (Bare-compatible with brittle)
+
+import test from 'brittle';
+import crypto from 'hypercore-crypto';
+import { TrustStore } from '../src/storage.js';
+import { signIntroduction } from '../src/protocol.js';
+import { StorageError } from '../src/types.js';
+import { createNode, connectNodes, nextEvent, tmpFile, hex } from './helpers.js';
+
+test('trust store round-trips state', (t) => {
+  const store = new TrustStore(tmpFile(t, 'trust.json'));
+
+  t.is(store.load(), undefined);
+
+  store.save({ version: 1, whitelist: ['aa'] });
+  t.alike(store.load(), { version: 1, whitelist: ['aa'] });
+
+  store.save({ version: 99 });
+  t.exception(() => store.load(), StorageError);
+});
+
+test('node reloads whitelist and trust changes', async (t) => {
+  const filename = tmpFile(t, 'trust.json');
+
+  const first = createNode(t, { storage: filename });
+  first.addToWhitelist('aa');
+  first.addToWhitelist('cc');
+  first.removeFromWhitelist('cc');
+  first.setTrust('bb', true);
+  await first.stop();
+
+  const second = createNode(t, { storage: filename });
+  t.ok(second.isWhitelisted('aa'));
+  t.absent(second.isWhitelisted('cc'));
+  t.ok(second.getTrust('bb'));
+  t.is(second.trustConfig.maxTrustDepth, 3);
+});
+
+function introduce(node, introducer, pubkey) {
+  const introducerPubkey = introducer.publicKey.toString('hex');
+  const intro = signIntroduction({
+    pubkey,
+    alias: pubkey.slice(0, 8),
+    capabilities: { agent: 'test', version: '1.0', accepts: [] },
+    introducerPubkey,
+    timestamp: Date.now(),
+    trustPath: [introducerPubkey],
+  }, introducer);
+
+  node.handleIntroduction(intro, introducerPubkey);
+  return node.acceptIntroduction(pubkey);
+}
+
+test('cascading revocation removes only what the key vouched for', async (t) => {
+  const filename = tmpFile(t, 'trust.json');
+  const alice = crypto.keyPair();
+  const bob = crypto.keyPair();
+  const aliceKey = alice.publicKey.toString('hex');
+  const bobKey = bob.publicKey.toString('hex');
+  const carolKey = crypto.keyPair().publicKey.toString('hex');
+  const daveKey = crypto.keyPair().publicKey.toString('hex');
+
+  const first = createNode(t, { storage: filename });
+  first.addToWhitelist(aliceKey);
+  first.addToWhitelist(daveKey);
+  await introduce(first, alice, bobKey);
+  await first.stop();
+
+  // Provenance survives a restart
+  const second = createNode(t, { storage: filename });
+  t.is(second.getProvenance(bobKey).introducerPubkey, aliceKey);
+  t.is(second.getProvenance(daveKey).introducerPubkey, null);
+
+  await introduce(second, bob, carolKey);
+
+  const removed = second.revokeTrust(aliceKey, true);
+  t.alike(removed.sort(), [aliceKey, bobKey, carolKey].sort());
+  t.ok(second.isWhitelisted(daveKey));
+  t.absent(new TrustStore(filename).load().whitelist.includes(carolKey));
+});
+
+test('auto revocation follows only the original introducer', async (t) => {
+  const node = createNode(t, { revocationPolicy: 'auto' });
+  const introducer = createNode(t);
+  const stranger = createNode(t);
+  await connectNodes(t, node, introducer);
+  await connectNodes(t, node, stranger);
+
+  const target = crypto.keyPair().publicKey.toString('hex');
+  const received = nextEvent(node, 'introduction:received');
+  await introducer.introduce(hex(node), target, 'carol', {
+    agent: 'aronia',
+    version: '0.1.0',
+    accepts: [],
+  });
+  await received;
+  await node.acceptIntroduction(target);
+
+  const applied = [];
+  node.on('revocation:applied', (pubkey) => applied.push(pubkey));
+
+  // Anyone may send a notice, but only the introducer vouched for target
+  let notice = nextEvent(node, 'revocation:received');
+  t.is((await stranger.announceRevocation(target)).sent, 1);
+  t.is((await notice)[0].revokerPubkey, hex(stranger));
+  t.ok(node.isWhitelisted(target));
+  t.alike(applied, []);
+
+  notice = nextEvent(node, 'revocation:received');
+  await introducer.announceRevocation(target, { reason: 'key leaked' });
+  t.is((await notice)[0].reason, 'key leaked');
+  t.absent(node.isWhitelisted(target));
+  t.alike(applied, [target]);
+});
+
+test('export and import trust state as JSON', async (t) => {
+  const source = createNode(t);
+  source.addToWhitelist('aa');
+  source.setTrust('aa', true);
+
+  const json = JSON.stringify(source.exportTrustState());
+
+  const filename = tmpFile(t, 'trust.json');
+  const target = createNode(t, { storage: filename });
+  target.importTrustState(JSON.parse(json));
+
+  t.ok(target.isWhitelisted('aa'));
+  t.ok(target.getTrust('aa'));
+  t.alike(new TrustStore(filename).load().whitelist, ['aa']);
+});
@@ -0,0 +1,181 @@
+// tests/stream.test.js
+// Unit tests for credit-based streaming RPC (Bare-compatible with brittle)
+
+import test from 'brittle';
+import Buffer from 'bare-buffer';
+import { RemoteStream, StreamSink, isIterable } from '../src/stream.js';
+import { ProtocolError, RemoteError } from '../src/types.js';
+import { createNode, connectNodes, hex } from './helpers.js';
+
+function createStream(highWaterMark = 4) {
+  const events = { credit: [], cancelled: 0 };
+  const stream = new RemoteStream({
+    id: 's1',
+    highWaterMark,
+    onCredit: (credit) => events.credit.push(credit),
+    onCancel: () => events.cancelled++,
+  });
+  return { stream, events };
+}
+
+function createSink(credit = 1) {
+  const sent = [];
+  const sink = new StreamSink({
+    id: 's1',
+    credit,
+    sendData: async (chunk) => sent.push(chunk),
+    sendEnd: async (end) => sent.push(end),
+    onClose: () => {},
+  });
+  return { sink, sent };
+}
+
+test('consumers return credit as they read', async (t) => {
+  const { stream, events } = createStream(4);
+
+  for (let i = 0; i < 4; i++) stream.push(i);
+  t.is((await stream.next()).value, 0);
+  t.alike(events.credit, []);
+  t.is((await stream.next()).value, 1);
+  t.alike(events.credit, [2]);
+
+  // The two chunks granted back may now arrive
+  stream.push(4);
+  stream.push(5);
+  stream.end();
+
+  const rest = [];
+  for await (const value of stream) rest.push(value);
+  t.alike(rest, [2, 3, 4, 5]);
+  t.is(events.cancelled, 0);
+
+  t.ok(isIterable([1, 2]));
+  t.absent(isIterable('text'));
+  t.absent(isIterable(Buffer.from('bytes')));
+  t.absent(isIterable(new Float64Array(2)));
+  t.absent(isIterable(new ArrayBuffer(2)));
+});
+
+test('chunks past the granted credit fail and cancel the stream', async (t) => {
+  const { stream, events } = createStream(2);
+
+  stream.push('a');
+  stream.push('b');
+  stream.push('c');
+
+  t.is(events.cancelled, 1);
+  await t.exception(stream.next(), ProtocolError);
+
+  stream.push('d');
+  t.is(events.cancelled, 1);
+});
+
+test('sinks wait for credit and stop once closed', async (t) => {
+  const { sink, sent } = createSink(1);
+
+  t.ok(await sink.write('a'));
+
+  let second = false;
+  const pending = sink.write('b').then((ok) => (second = ok));
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  t.absent(second, 'write waits without credit');
+
+  sink.addCredit(1);
+  await pending;
+  t.ok(second);
+
+  const blocked = sink.write('c');
+  sink.cancel();
+  t.is(await blocked, false, 'cancelling releases a waiting write');
+  t.is(await sink.write('d'), false);
+  t.alike(sent.map((chunk) => chunk.data), ['a', 'b']);
+
+  const failing = createSink(1);
+  await failing.sink.error({ code: -32603, message: 'boom' });
+  t.alike(failing.sent, [{ id: 's1', error: { code: -32603, message: 'boom' } }]);
+
+  const { stream } = createStream();
+  stream.end(new RemoteError({ code: -32603, message: 'boom' }));
+  await t.exception(stream.next(), /boom/);
+});
+
+test('openStream round-trips through a remote handler', async (t) => {
+  const client = createNode(t);
+  const server = createNode(t);
+  await connectNodes(t, client, server);
+
+  let produced = 0;
+  let finished = false;
+  server.registerMethod('count', async function* ({ to }) {
+    try {
+      for (let i = 0; i < to; i++) {
+        produced++;
+        yield i;
+      }
+    } finally {
+      finished = true;
+    }
+  });
+  server.registerMethod('blob', async () => Buffer.from('hello world'));
+  server.registerMethod('fail', async function* () {
+    yield 'first';
+    throw new Error('disk on fire');
+  });
+
+  const values = [];
+  for await (const value of client.openStream(hex(server), 'count', { to: 20 }, {
+    highWaterMark: 4,
+  })) {
+    values.push(value);
+  }
+  t.alike(values, Array.from({ length: 20 }, (_, i) => i));
+
+  // A returned Buffer is one chunk, not a stream of bytes
+  const blobs = [];
+  for await (const blob of client.openStream(hex(server), 'blob', {})) {
+    blobs.push(blob);
+  }
+  t.is(blobs.length, 1);
+  t.ok(Buffer.isBuffer(blobs[0]));
+  t.is(blobs[0].toString(), 'hello world');
+
+  const failed = [];
+  try {
+    for await (const value of client.openStream(hex(server), 'fail', {})) {
+      failed.push(value);
+    }
+    t.fail('stream should fail');
+  } catch (err) {
+    t.ok(err instanceof RemoteError);
+    t.is(err.message, 'disk on fire');
+  }
+  t.alike(failed, ['first']);
+
+  // Breaking out sends stream-cancel, which stops the producer
+  produced = 0;
+  for await (const value of client.openStream(hex(server), 'count', { to: 1000 }, {
+    highWaterMark: 2,
+  })) {
+    if (value === 1) break;
+  }
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  t.ok(finished);
+  t.ok(produced < 1000, `producer stopped after ${produced} chunks`);
+
+  // A producer that ignores credit is cut off by the consumer. It is still
+  // writing when the connection closes, which surfaces as a socket error.
+  server.on('error', () => {});
+  server.peers.get(hex(client)).once('stream', (request, sink) => {
+    sink.credit = Infinity;
+  });
+  finished = false;
+  const stream = client.openStream(hex(server), 'count', { to: 1000 }, { highWaterMark: 2 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  await t.exception(
+    (async () => {
+      for await (const value of stream) t.ok(value >= 0);
+    })(),
+    /beyond its credit/
+  );
+  t.ok(finished);
+});
@@ -0,0 +1,92 @@
+// tests/topics.test.js
+// Unit tests for joining multiple swarm topics (Bare-compatible with brittle)
+
+import test from 'brittle';
+import crypto from 'hypercore-crypto';
+import Buffer from 'bare-buffer';
+import {
+  createNode,
+  createPeer,
+  connectNodes,
+  createStreamPair,
+  nextEvent,
+  hex,
+} from './helpers.js';
+
+const member = 'a'.repeat(64);
+const guest = 'b'.repeat(64);
+
+test('topics admit peers beyond the node whitelist', (t) => {
+  const node = createNode(t, { whitelist: new Set([member]) });
+
+  node.joinTopic('team', { whitelist: [guest] });
+  node.joinTopic('open', { allow: (pubkey) => pubkey.startsWith('c') });
+
+  t.ok(node.isAdmitted(member, []));
+  t.ok(node.isAdmitted(guest, ['team']));
+  t.absent(node.isAdmitted(guest, ['aronia-test', 'open']));
+  t.ok(node.isAdmitted('c'.repeat(64), ['open']));
+
+  t.exception(() => node.joinTopic('team'), /Already joined topic/);
+});
+
+test('topic info reports mode and peers', (t) => {
+  const node = createNode(t);
+  const info = node.joinTopic('team', { server: false });
+
+  t.is(info.name, 'team');
+  t.is(info.key, crypto.hash(Buffer.from('team')).toString('hex'));
+  t.is(info.server, false);
+  t.is(info.client, true);
+
+  node.peers.set(guest, createPeer(guest, { topics: ['team'] }));
+  t.alike(node.getTopics().map((topic) => [topic.name, topic.peers]), [
+    ['aronia-test', []],
+    ['team', [guest]],
+  ]);
+  t.alike(node.getTopicNames([info.key]), ['team']);
+});
+
+test('leaving a topic drops peers only it admitted', async (t) => {
+  const node = createNode(t, { whitelist: new Set([member]) });
+  node.joinTopic('team', { whitelist: [member, guest] });
+
+  const memberPeer = createPeer(member, { topics: ['team'] });
+  const guestPeer = createPeer(guest, { topics: ['team'] });
+  node.peers.set(member, memberPeer);
+  node.peers.set(guest, guestPeer);
+
+  t.ok(await node.leaveTopic('team'));
+  t.absent(await node.leaveTopic('team'));
+
+  t.absent(memberPeer.destroyed);
+  t.alike(memberPeer.topics, []);
+  t.ok(guestPeer.destroyed);
+});
+
+test('peers are admitted over the wire through a shared topic', async (t) => {
+  const server = createNode(t, { reconnectMaxAttempts: 0 });
+  const teammate = createNode(t, { reconnectMaxAttempts: 0 });
+  const outsider = createNode(t);
+  server.joinTopic('team', { whitelist: [hex(teammate), hex(outsider)] });
+  teammate.joinTopic('team');
+
+  // Only the topic whitelist on the server admits them
+  teammate.addToWhitelist(hex(server));
+  await connectNodes(t, teammate, server, { whitelist: false });
+  t.alike(server.getPeerInfo(hex(teammate)).topics, ['aronia-test', 'team']);
+
+  // Listed on the topic, but without joining it the outsider only shares one
+  // that does not admit it
+  const rejected = nextEvent(server, 'peer:rejected');
+  const [toServer, fromOutsider] = await createStreamPair(t, outsider.keyPair, server.keyPair);
+  outsider.addToWhitelist(hex(server));
+  outsider.handleConnection(toServer, {});
+  server.handleConnection(fromOutsider, {});
+  t.alike(await rejected, [hex(outsider), 'No shared topic admits this peer']);
+
+  const dropped = nextEvent(teammate, 'peer:disconnected');
+  t.ok(await server.leaveTopic('team'));
+  t.alike(await dropped, [hex(server)]);
+  t.absent(server.peers.has(hex(teammate)));
+});
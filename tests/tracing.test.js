@@ -0,0 +1,172 @@
+// tests/tracing.test.js
+// Unit tests for trace context propagation (Bare-compatible with brittle)
+
+import test from 'brittle';
+import fs from 'bare-fs';
+import { Tracer, isTraceContext, createJsonLinesExporter } from '../src/tracing.js';
+import { createNode, createPeer, connectNodes, tmpFile, hex } from './helpers.js';
+
+const caller = 'a'.repeat(64);
+const worker = 'b'.repeat(64);
+
+function call(node, request) {
+  return new Promise((resolve) => {
+    node.handleRPCRequest({ id: '1', params: {}, ...request }, { pubkey: caller }, resolve);
+  });
+}
+
+test('spans share the trace of their parent', (t) => {
+  const exported = [];
+  const tracer = new Tracer({ node: 'self', exporters: [(span) => exported.push(span)] });
+
+  const root = tracer.startSpan('plan', { kind: 'client' });
+  const child = tracer.startSpan('estimate', { parent: root.context(), kind: 'server' });
+  child.end({ code: -32603, message: 'boom' });
+  child.end();
+  root.end();
+
+  t.ok(isTraceContext(root.context()));
+  t.absent(isTraceContext({ traceId: 'x', spanId: 'y' }));
+  t.is(exported.length, 2);
+  t.is(exported[0].traceId, exported[1].traceId);
+  t.is(exported[0].parentSpanId, exported[1].spanId);
+  t.is(exported[1].parentSpanId, null);
+  t.is(exported[0].status, 'error');
+  t.is(exported[0].error, 'boom');
+  t.is(exported[0].node, 'self');
+});
+
+test('handlers continue incoming traces through their context', async (t) => {
+  const node = createNode(t, { tracing: true });
+  const spans = [];
+  node.addSpanExporter((span) => spans.push(span));
+
+  const sent = [];
+  node.peers.set(
+    worker,
+    createPeer(worker, {
+      async request(method, params, timeout, trace) {
+        sent.push(trace);
+        return 'done';
+      },
+    })
+  );
+
+  node.registerMethod('plan', async (params, peer, ctx) => ctx.request(worker, 'estimate', {}));
+
+  const parent = { traceId: 'c'.repeat(32), spanId: 'd'.repeat(16) };
+  const response = await call(node, { method: 'plan', trace: parent });
+  t.is(response.result, 'done');
+
+  const [client, server] = spans;
+  t.is(server.kind, 'server');
+  t.is(server.traceId, parent.traceId);
+  t.is(server.parentSpanId, parent.spanId);
+  t.is(server.attributes.peer, caller);
+  t.is(client.kind, 'client');
+  t.is(client.parentSpanId, server.spanId);
+  t.alike(sent, [{ traceId: parent.traceId, spanId: client.spanId }]);
+});
+
+test('spans are only recorded with tracing on', async (t) => {
+  const quiet = createNode(t);
+  const traced = createNode(t, { tracing: true });
+  const spans = [];
+  quiet.addSpanExporter((span) => spans.push(['quiet', span]));
+  traced.addSpanExporter((span) => spans.push(['traced', span]));
+
+  const parent = { traceId: 'c'.repeat(32), spanId: 'd'.repeat(16) };
+  await call(quiet, { method: 'ping', trace: parent });
+  await call(traced, { method: 'missing' });
+
+  t.is(spans.length, 1);
+  t.is(spans[0][0], 'traced');
+  t.is(spans[0][1].status, 'error');
+  t.is(spans[0][1].parentSpanId, null);
+
+  // Trace context handed to a quiet node is neither recorded nor passed on
+  const sent = [];
+  quiet.peers.set(
+    worker,
+    createPeer(worker, {
+      async request(method, params, timeout, trace) {
+        sent.push(trace);
+        return 'done';
+      },
+      openStream(method, params, opts) {
+        sent.push(opts.trace);
+      },
+    })
+  );
+  await quiet.request(worker, 'estimate', {}, 1000, { trace: parent });
+  quiet.openStream(worker, 'count', {}, { trace: parent });
+  t.alike(sent, [undefined, undefined]);
+  t.is(spans.length, 1);
+
+  const metas = [];
+  quiet.on('message', (payload, pubkey, meta) => metas.push(['quiet', meta]));
+  traced.on('message', (payload, pubkey, meta) => metas.push(['traced', meta]));
+  quiet.handleMessage({ payload: 'hi', trace: parent }, { pubkey: caller });
+  traced.handleMessage({ payload: 'hi', trace: parent }, { pubkey: caller });
+  t.alike(metas, [
+    ['quiet', undefined],
+    ['traced', { trace: parent }],
+  ]);
+});
+
+test('span files are appended in batches', async (t) => {
+  const filename = tmpFile(t, 'spans.jsonl');
+
+  const exporter = createJsonLinesExporter(filename);
+  const tracer = new Tracer({ node: 'self', exporters: [exporter] });
+  for (let i = 0; i < 5; i++) tracer.startSpan(`span-${i}`).end();
+
+  await exporter.flush();
+  const lines = fs.readFileSync(filename, 'utf-8').trim().split('\n');
+  t.alike(lines.map((line) => JSON.parse(line).name), [
+    'span-0',
+    'span-1',
+    'span-2',
+    'span-3',
+    'span-4',
+  ]);
+});
+
+test('traces cross the wire for requests and streams', async (t) => {
+  const client = createNode(t, { tracing: true });
+  const server = createNode(t, { tracing: true });
+  await connectNodes(t, client, server);
+
+  const spans = [];
+  client.addSpanExporter((span) => spans.push(span));
+  server.addSpanExporter((span) => spans.push(span));
+
+  server.registerMethod('echo', async (params) => params);
+  server.registerMethod('count', async function* ({ to }, peer, ctx) {
+    for (let i = 0; i < to; i++) yield ctx.trace.traceId;
+  });
+
+  t.alike(await client.request(hex(server), 'echo', { ok: true }), { ok: true });
+  const [served, request] = spans.splice(0);
+  t.is(request.kind, 'client');
+  t.is(served.kind, 'server');
+  t.is(served.node, hex(server));
+  t.is(served.traceId, request.traceId);
+  t.is(served.parentSpanId, request.spanId);
+
+  const parent = { traceId: 'e'.repeat(32), spanId: 'f'.repeat(16) };
+  const chunks = [];
+  for await (const traceId of client.openStream(hex(server), 'count', { to: 3 }, {
+    trace: parent,
+  })) {
+    chunks.push(traceId);
+  }
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  t.alike(chunks, [parent.traceId, parent.traceId, parent.traceId]);
+  t.is(spans.length, 1);
+  t.is(spans[0].name, 'count');
+  t.is(spans[0].kind, 'server');
+  t.is(spans[0].parentSpanId, parent.spanId);
+  t.is(spans[0].status, 'ok');
+});